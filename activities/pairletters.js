@@ -306,14 +306,15 @@
       return Promise.resolve();
     }
 
+    // BrailleUI.flash restores the line itself and is cancelled by the runner on stop
     async function flashMessage(msg) {
-      const saved = lineText;
-      try {
-        await sendToBraille(msg);
-        await sleep(FEEDBACK_MS);
-      } finally {
-        await sendToBraille(saved);
+      if (window.BrailleUI && typeof window.BrailleUI.flash === "function") {
+        await window.BrailleUI.flash(msg, { ms: FEEDBACK_MS });
+        return;
       }
+      await sendToBraille(msg);
+      await sleep(FEEDBACK_MS);
+      if (running) await sendToBraille(lineText);
     }
 
     function waitForRoundCompletion(token) {
@@ -28,6 +28,22 @@
     setLine("", meta);
   }
 
+  // BrailleUI page mode: an item longer than the display is word-wrapped
+  // (hyphenated) into lines that the thumb keys step through
+  function pageUi() {
+    const ui = window.BrailleUI;
+    return ui && typeof ui.setPageText === "function" && typeof ui.gotoLine === "function" ? ui : null;
+  }
+
+  function pageInfo() {
+    const ui = pageUi();
+    return ui && ui.isPageMode() ? ui.getPageInfo() : { lines: 0, currentLineIndex: 0 };
+  }
+
+  function logFailure(what) {
+    return (err) => log("[readlines] " + what + " failed", { message: err?.message });
+  }
+
   // ---------------------------------------------------------------------------
   // Selection rules (as requested)
   //
@@ -134,22 +150,44 @@
     return String(items[index] ?? "");
   }
 
-  function render(reason) {
+  // atEnd: show the last line of the item (coming back with the left thumb)
+  async function render(reason, atEnd = false) {
     const text = currentText();
-    setLine(text, {
-      reason: reason || "render",
-      index,
-      total: items.length,
-      rowIndex: chosenRowIndex
-    });
+    const ui = pageUi();
+
+    if (ui && text) {
+      await ui.setPageText(text, { hyphenate: ui.getOptions().locale || true });
+      const { lines } = ui.getPageInfo();
+      if (atEnd && lines > 1) await ui.gotoLine(lines - 1);
+    } else {
+      setLine(text, {
+        reason: reason || "render",
+        index,
+        total: items.length,
+        rowIndex: chosenRowIndex
+      });
+    }
+
     log("[readlines] render", {
+      reason: reason || "render",
       rowIndex: chosenRowIndex,
       index,
       total: items.length,
+      page: pageInfo(),
       text
     });
   }
 
+  function gotoPageLine(delta) {
+    const { lines, currentLineIndex } = pageInfo();
+    const target = currentLineIndex + delta;
+    if (!lines || target < 0 || target >= lines) return false;
+
+    pageUi().gotoLine(target).catch(logFailure("gotoLine"));
+    log("[readlines] page line", { index, line: target, lines });
+    return true;
+  }
+
   function nextItem() {
     if (!running) return;
 
@@ -159,10 +197,11 @@
     }
 
     index = clampIndex(index);
+    if (gotoPageLine(1)) return;
 
     if (index < items.length - 1) {
       index++;
-      render("next");
+      render("next").catch(logFailure("render"));
     } else {
       stop({ reason: "done" });
     }
@@ -173,14 +212,15 @@
     if (!items.length) return;
 
     index = clampIndex(index);
+    if (gotoPageLine(-1)) return;
 
     if (index > 0) {
       index--;
-      render("prev");
+      render("prev", true).catch(logFailure("render"));
     } else {
       // stay at first item; never allow -1
       index = 0;
-      render("prev-boundary");
+      render("prev-boundary").catch(logFailure("render"));
     }
   }
 
@@ -212,7 +252,7 @@
       items: items.length
     });
 
-    render("start");
+    render("start").catch(logFailure("render"));
     return donePromise;
   }
 
@@ -13,16 +13,23 @@
  *     print line shows ␣
  *     braille line shows U+2800 blank (⠀)
  *
- * Optional external translator hook:
+ * Translation: the shared engine (js/braille/index.js) when it is loaded:
  *   window.Braille.textToBrailleCells(text, { lang }) -> Array<string>
- * Must return array with SAME LENGTH as `text`.
+ * Its cells are shown as-is, so the monitor matches the runner header and the
+ * SSoC simulator. Without the engine a basic built-in table is used.
  *
  * HARDENING:
- * - Even if translator forgets capital/number signs, we add them here so UI is correct.
+ * - The built-in table always adds capital/number signs so the UI is correct.
  *
  * ADDED IN THIS VERSION:
  * - setLang(lang): switch language after init and re-render (safe for Settings page)
  * - setBrailleUnicode(unicodeText, sourceText): render braille 1:1 from SSoC
+ * - setDisplayCells(n): show at most n cells (follows BrailleBridge "displaycells")
+ * - setTable(name): show the active braille table (follows BrailleBridge "tablechanged")
+ * - Cell ↔ text mapping (js/braille/cellmap.js, optional): a click reports the
+ *   text index AND the display cell: onCursorClick({ index, cell, letter, word }).
+ *   SSoC braille is rendered one UI cell per braille cell, with the print
+ *   character under the cell that carries the letter (signs get no print char).
  */
 
 (function (global) {
@@ -190,31 +197,26 @@
 
   /**
    * Translate to an array of per-print-character braille cells (each cell is a string).
-   * External hook must return Array<string> of same length as text.
+   * Uses the shared engine when loaded; otherwise the built-in table.
    */
   function textToBrailleCells(text, { lang } = {}) {
     const raw = String(text ?? "");
-    let cells = null;
 
-    // Optional external translator hook
     if (global.Braille && typeof global.Braille.textToBrailleCells === "function") {
       try {
         const out = global.Braille.textToBrailleCells(raw, { lang });
         if (Array.isArray(out) && out.length === raw.length) {
-          cells = out.map(x => (x == null ? "" : String(x)));
+          return out.map(x => (x ? String(x) : BRAILLE_BLANK));
         }
       } catch {
         // ignore and fall back
       }
     }
 
-    // If no translator output, use default mapping
-    if (!cells) {
-      cells = new Array(raw.length);
-      for (let i = 0; i < raw.length; i++) cells[i] = defaultCellForChar(raw[i]);
-    }
+    const cells = new Array(raw.length);
+    for (let i = 0; i < raw.length; i++) cells[i] = defaultCellForChar(raw[i]);
 
-    // Always coerce (fix missing capital/number signs, normalize spaces)
+    // Fix digit runs (number sign only at the start) and normalize spaces
     return coerceCells(raw, cells);
   }
 
@@ -227,7 +229,8 @@
           onCursorClick: null,
           showInfo: true,
           logger: null,
-          lang: null
+          lang: null,
+          displayCells: null
         },
         options || {}
       );
@@ -272,6 +275,7 @@
       let currentBrailleUnicode = "";
       let renderFromSsoc = false;
       let currentLang = opts.lang ? String(opts.lang) : null;
+      let displayCells = (typeof opts.displayCells === "number" && opts.displayCells > 0) ? opts.displayCells : null;
 
       const wrapper = document.createElement("div");
       wrapper.className = "braille-monitor-component";
@@ -305,11 +309,12 @@
       wrapper.appendChild(monitorP);
       wrapper.appendChild(thumbRow);
 
+      let infoEl = null;
       if (opts.showInfo) {
-        const info = document.createElement("p");
-        info.className = "small";
-        info.textContent = "";
-        wrapper.appendChild(info);
+        infoEl = document.createElement("p");
+        infoEl.className = "small";
+        infoEl.textContent = "";
+        wrapper.appendChild(infoEl);
       }
 
       container.innerHTML = "";
@@ -327,8 +332,19 @@
         return currentText.substring(start, end + 1).trim();
       }
 
+      // Text index ↔ display cell map of what is rendered (null: 1 cell per character)
+      let cellMap = null;
+
+      function makeCellMap(brailleCells) {
+        const CM = global.BrailleCellMap;
+        if (!CM) return null;
+        if (renderFromSsoc) return CM.fromUnicode(currentText, currentBrailleUnicode, { locale: currentLang || undefined });
+        return CM.fromCharCells(currentText, brailleCells);
+      }
+
       function rebuildCells() {
         monitorP.innerHTML = "";
+        cellMap = null;
 
         if (!currentText && !currentBrailleUnicode) {
           monitorP.textContent = "(leeg)";
@@ -345,17 +361,30 @@
           brailleCells = textToBrailleCells(currentText, { lang: currentLang });
           renderLen = currentText.length;
         }
+        cellMap = makeCellMap(brailleCells);
+
+        // Cells beyond the physical display are not visible on the device either
+        if (displayCells) {
+          if (renderFromSsoc || !cellMap) renderLen = Math.min(renderLen, displayCells);
+          else while (renderLen > 0 && cellMap.textToCell[renderLen - 1] >= displayCells) renderLen--;
+        }
 
         for (let i = 0; i < renderLen; i++) {
-          const ch = currentText[i] || " ";
-          const printChar = visiblePrintChar(ch);
+          // SSoC: i is a braille cell; text mode: i is a print character
+          const textIndex = renderFromSsoc && cellMap ? cellMap.cellToText[i] : i;
+          const cellIndex = !renderFromSsoc && cellMap ? cellMap.textToCell[i] : i;
+          const ch = currentText[textIndex] || " ";
+          // Prefix signs (capital / number) carry no print character of their own
+          const isSign = renderFromSsoc && cellMap && cellMap.cellToText[i + 1] === textIndex;
+          const printChar = isSign ? "" : visiblePrintChar(ch);
           const brailleCell = brailleCells[i] || BRAILLE_BLANK;
 
           const cell = document.createElement("span");
           cell.className = "monitor-cell monitor-cell--stack";
-          cell.dataset.index = String(i);
+          cell.dataset.index = String(textIndex);
+          cell.dataset.cell = String(cellIndex);
           cell.setAttribute("role", "option");
-          cell.setAttribute("aria-label", "Cel " + i + " teken " + ch);
+          cell.setAttribute("aria-label", "Cel " + cellIndex + " teken " + ch);
 
           const brailleEl = document.createElement("span");
           brailleEl.className = "monitor-cell__braille";
@@ -386,14 +415,15 @@
 
         const index = parseInt(cell.dataset.index, 10);
         if (isNaN(index)) return;
+        const cellIndex = parseInt(cell.dataset.cell, 10);
 
         const letter = currentText[index] || " ";
         const word = computeWordAt(index);
 
-        log("BrailleMonitor", "UI cursor click index=" + index + ' letter="' + letter + '" word="' + word + '"', "info");
+        log("BrailleMonitor", "UI cursor click index=" + index + " cell=" + cellIndex + ' letter="' + letter + '" word="' + word + '"', "info");
 
         if (typeof opts.onCursorClick === "function") {
-          try { opts.onCursorClick({ index, letter, word }); }
+          try { opts.onCursorClick({ index, cell: isNaN(cellIndex) ? index : cellIndex, letter, word }); }
           catch (err) { log("BrailleMonitor", "Error in onCursorClick: " + (err && err.message), "error"); }
         }
       }
@@ -432,6 +462,14 @@
           flashThumbButton(nameLower);
           invokeThumbAction(nameLower);
         });
+
+        global.BrailleBridge.on("displaycells", (evt) => {
+          if (evt && typeof evt.cells === "number") setDisplayCells(evt.cells);
+        });
+
+        global.BrailleBridge.on("tablechanged", (evt) => {
+          if (evt && evt.table) setTable(evt.table);
+        });
       }
 
       function setText(text) {
@@ -457,6 +495,20 @@
 
       function clear() { setText(""); }
 
+      function setTable(name) {
+        const table = name ? String(name) : "";
+        if (table) monitorP.dataset.table = table;
+        else delete monitorP.dataset.table;
+        monitorP.title = table ? "Table: " + table : "";
+        if (infoEl) infoEl.textContent = table ? "Table: " + table : "";
+      }
+
+      function setDisplayCells(n) {
+        const cells = Number(n);
+        displayCells = (Number.isFinite(cells) && cells > 0) ? Math.floor(cells) : null;
+        rebuildCells();
+      }
+
       function setLang(lang) {
         currentLang = lang ? String(lang) : null;
         rebuildCells();
@@ -464,7 +516,7 @@
 
       setText("");
 
-      return { monitorId, thumbRowId, containerId: baseId, setText, setBrailleUnicode, clear, setLang };
+      return { monitorId, thumbRowId, containerId: baseId, setText, setBrailleUnicode, clear, setLang, setDisplayCells, setTable };
     }
   };
 
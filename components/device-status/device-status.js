@@ -8,7 +8,7 @@
  *   ds.setState("connected", "Braille display connected");
  *
  * Optional:
- *   ds.bindToBrailleBridge(window.BrailleBridge);
+ *   ds.bindToBrailleBridge(window.BrailleBridge);   // follows its "status" event
  *   ds.startPolling({ url: "http://localhost:7777/status", intervalMs: 1500 });
  */
 
@@ -88,7 +88,10 @@
         "device-status--connecting",
         "device-status--connected",
         "device-status--disconnected",
-        "device-status--error"
+        "device-status--error",
+        "device-status--online",
+        "device-status--degraded",
+        "device-status--offline"
       );
 
       const allowed = new Set([
@@ -96,7 +99,11 @@
         "connecting",
         "connected",
         "disconnected",
-        "error"
+        "error",
+        // BrailleBridge "status" states
+        "online",
+        "degraded",
+        "offline"
       ]);
 
       const finalState = allowed.has(s) ? s : "unknown";
@@ -114,10 +121,14 @@
 
       // If you have a status event, use it.
       // Expected payload examples:
-      //   { state: "connected", text: "..." }
+      //   { state: "online", text: "Focus 40 · 12 ms", latencyMs: 12 }
       //   { connected: true, device: "Focus 40" }
+      // Once "status" has been seen, the lifecycle events below are ignored.
+      let hasStatus = false;
+
       bridge.on("status", (evt) => {
         if (!evt) return;
+        hasStatus = true;
 
         if (typeof evt.state === "string") {
           this.setState(evt.state, evt.text || "");
@@ -134,18 +145,26 @@
 
       // If you have connection lifecycle events, use them.
       bridge.on("connected", (evt) => {
+        if (hasStatus) return;
         const dev = evt && evt.device ? String(evt.device) : "Connected";
         this.setState("connected", dev);
       });
 
       bridge.on("disconnected", () => {
+        if (hasStatus) return;
         this.setState("disconnected", "Disconnected");
       });
 
       bridge.on("error", (evt) => {
+        if (hasStatus) return;
         const msg = evt && evt.message ? String(evt.message) : "Error";
         this.setState("error", msg);
       });
+
+      if (typeof bridge.getStatus === "function") {
+        const current = bridge.getStatus();
+        if (current && current.state) this.setState(current.state, current.text || "");
+      }
     }
 
     // Optional: poll a local HTTP endpoint if you expose one.
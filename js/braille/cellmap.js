@@ -0,0 +1,106 @@
+// /js/braille/cellmap.js
+// Text ↔ cell offset map for a translated line.
+// Capital and number signs make one character take two cells, so a routing
+// key (cell index) is not a text index. A map looks like:
+//   { text, unicode, cells, cellToText, textToCell }
+//   cellToText[cell]  → index of the character that produced the cell
+//   textToCell[index] → first cell of that character (textToCell[text.length] = cells.length)
+// Translation itself is done by the shared engine (js/braille/index.js) when
+// it is loaded, so maps agree with what the header, monitor and simulator show.
+(function (global) {
+  "use strict";
+
+  const BRAILLE_BLANK = "⠀";
+
+  function registryCells(text, locale) {
+    if (global.Braille && typeof global.Braille.textToBrailleCells === "function") {
+      return global.Braille.textToBrailleCells(text, { locale: locale || "nl" });
+    }
+
+    const registry = global.BrailleRegistry || {};
+    const mod = registry[String(locale || "nl").toLowerCase()] || registry.nl;
+    if (!mod || typeof mod.textToBrailleCells !== "function") return null;
+
+    try {
+      const out = mod.textToBrailleCells(text);
+      if (Array.isArray(out) && out.length === text.length) return out.map(c => (c ? String(c) : BRAILLE_BLANK));
+    } catch {
+      // fall through to 1:1
+    }
+    return null;
+  }
+
+  /**
+   * Build a map from per-character cells (Array<string>, 1..n braille chars each).
+   */
+  function fromCharCells(text, perChar) {
+    const raw = String(text ?? "");
+    const cells = [];
+    const cellToText = [];
+    const textToCell = [];
+
+    for (let i = 0; i < raw.length; i++) {
+      textToCell.push(cells.length);
+      const charCells = Array.from(perChar && perChar[i] != null ? String(perChar[i]) : BRAILLE_BLANK);
+      for (const cell of (charCells.length ? charCells : [BRAILLE_BLANK])) {
+        cells.push(cell);
+        cellToText.push(i);
+      }
+    }
+    textToCell.push(cells.length);
+
+    return { text: raw, unicode: cells.join(""), cells, cellToText, textToCell };
+  }
+
+  // One cell per character (no translator loaded, or translations disagree)
+  function identity(text, unicode) {
+    const raw = String(text ?? "");
+    const cells = unicode != null ? Array.from(String(unicode)) : Array.from(raw, ch => (ch === " " ? BRAILLE_BLANK : ch));
+    const cellToText = cells.map((_, i) => Math.min(i, Math.max(0, raw.length - 1)));
+    const textToCell = Array.from({ length: raw.length + 1 }, (_, i) => Math.min(i, cells.length));
+    return { text: raw, unicode: cells.join(""), cells, cellToText, textToCell };
+  }
+
+  /**
+   * Translate text with the engine (or the locale module on window.BrailleRegistry) and map it.
+   */
+  function translate(text, { locale } = {}) {
+    const raw = String(text ?? "");
+    const perChar = registryCells(raw, locale);
+    return perChar ? fromCharCells(raw, perChar) : identity(raw);
+  }
+
+  /**
+   * Map the server's braille (brailleLine UnicodeText) back to its SourceText.
+   * The local translation supplies the per-character cell counts; when its cell
+   * count differs from the server's, fall back to one cell per character.
+   */
+  function fromUnicode(text, unicode, { locale } = {}) {
+    const raw = String(text ?? "");
+    const serverCells = Array.from(String(unicode ?? ""));
+    const local = translate(raw, { locale });
+
+    if (local.cells.length !== serverCells.length) return identity(raw, unicode);
+    return { ...local, unicode: serverCells.join(""), cells: serverCells };
+  }
+
+  function cellToText(map, cell) {
+    if (!map || typeof cell !== "number") return null;
+    if (cell < 0 || cell >= map.cellToText.length) return null;
+    return map.cellToText[cell];
+  }
+
+  function textToCell(map, index) {
+    if (!map || typeof index !== "number") return null;
+    if (index < 0 || index >= map.textToCell.length) return null;
+    return map.textToCell[index];
+  }
+
+  global.BrailleCellMap = {
+    translate,
+    fromCharCells,
+    fromUnicode,
+    cellToText,
+    textToCell
+  };
+})(window);
@@ -1,34 +1,192 @@
+/*!
+ * Braille – shared text → braille translation engine
+ * --------------------------------------------------
+ * Responsibilities:
+ *  - Locale registry: window.BrailleRegistry[locale] = { id, textToBrailleCells }
+ *    (js/braille/nl.js and js/braille/en.js register themselves)
+ *  - translate(text, { locale }) → { cells, map } for every renderer:
+ *    runner header, BrailleMonitor, SSoC simulator and BrailleCellMap all
+ *    call this, so the same text gives the same cells everywhere
+ *  - Unicode braille in the text passes through as its own dots (like liblouis)
+ *  - Braille ASCII output for tools that want plain text
+ *
+ * Only 6-dot literary braille is rendered here. The braille mode setting
+ * (literacy / computer) picks the table on the bridge (setTableForMode); it
+ * does not change these renderings, so translate() takes no mode.
+ *
+ * Usage:
+ *   Braille.translate("Kat 3", { locale: "nl" });
+ *     // { locale: "nl", unicode: "⠨⠅⠁⠞⠀⠼⠉",
+ *     //   cells: ["⠨", "⠅", ...], map: { cellToText, textToCell, ... } }
+ *   Braille.textToBrailleCells("Kat", { locale: "nl" }); // ["⠨⠅", "⠁", "⠞"]
+ *   Braille.register("xx", { textToBrailleCells: text => [...] });
+ *
+ * The map is built by js/braille/cellmap.js (load it too). Without a module
+ * for the locale the "nl" module is used; without any module every character
+ * becomes one cell (blank for spaces, ⣿ otherwise).
+ */
+
 (function (global) {
   "use strict";
 
+  const BRAILLE_BLANK = "⠀";    // U+2800
+  const BRAILLE_UNKNOWN = "⣿";
+  const DEFAULT_LOCALE = "nl";
+  const DEFAULT_MODE = "literacy";
+
+  // North American Braille ASCII, indexed by the dots 1-6 bits of a cell
+  const BRAILLE_ASCII = " A1B'K2L@CIF/MSP\"E3H9O6R^DJG>NTQ,*5<-U8V.%[$+X!&;:4\\0Z7(_?W]#Y)=";
+
+  global.BrailleRegistry = global.BrailleRegistry || {};
+
+  function isBraillePattern(ch) {
+    const code = String(ch || "").charCodeAt(0);
+    return code >= 0x2800 && code <= 0x28ff;
+  }
+
   function getLocale() {
-    const saved = localStorage.getItem("bs_locale");
-    if (saved) return saved.toLowerCase();
-    const htmlLang = (document.documentElement.getAttribute("lang") || "nl").toLowerCase();
-    return htmlLang;
+    try {
+      const saved = global.localStorage && localStorage.getItem("bs_locale");
+      if (saved) return saved.toLowerCase();
+    } catch {
+      // storage blocked
+    }
+    const html = global.document && document.documentElement;
+    return ((html && html.getAttribute("lang")) || DEFAULT_LOCALE).toLowerCase();
+  }
+
+  // "learn" is the old name of the 6-dot literacy mode
+  function normalizeMode(mode) {
+    const m = String(mode || DEFAULT_MODE).toLowerCase();
+    return m === "learn" ? DEFAULT_MODE : m;
   }
 
+  // Stored braille mode, for callers that pick a bridge table; not used below
   function getMode() {
-    return (localStorage.getItem("bs_braille_mode") || "learn").toLowerCase();
+    try {
+      return normalizeMode(global.localStorage && localStorage.getItem("bs_braille_mode"));
+    } catch {
+      return DEFAULT_MODE;
+    }
   }
 
-  // Plug in language modules (you can expand later)
-  const tables = {
-    nl: global.BrailleNL
-  };
+  // ---------------------------------------------------------------------------
+  // LOCALE REGISTRY
+  // ---------------------------------------------------------------------------
+  function register(locale, mod) {
+    const id = String(locale || "").toLowerCase();
+    if (!id) throw new Error("Braille.register: locale is required");
+    if (!mod || typeof mod.textToBrailleCells !== "function") {
+      throw new Error(`Braille.register(${id}): textToBrailleCells(text) is required`);
+    }
+    global.BrailleRegistry[id] = Object.assign({ id }, mod);
+    return global.BrailleRegistry[id];
+  }
+
+  function hasLocale(locale) {
+    const mod = global.BrailleRegistry[String(locale || "").toLowerCase()];
+    return !!mod && typeof mod.textToBrailleCells === "function";
+  }
 
-  function textToBrailleAscii(text) {
-    const locale = getLocale();
-    const mode = getMode();
-    const mod = tables[locale] || tables.nl;
+  function getLocales() {
+    return Object.keys(global.BrailleRegistry).filter(hasLocale);
+  }
+
+  // Requested locale, else the default, else null (no module loaded)
+  function resolveLocale(locale) {
+    const id = String(locale || getLocale()).toLowerCase();
+    if (hasLocale(id)) return id;
+    const base = id.split(/[-_]/)[0];
+    if (hasLocale(base)) return base;
+    return hasLocale(DEFAULT_LOCALE) ? DEFAULT_LOCALE : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // TRANSLATION
+  // ---------------------------------------------------------------------------
+  function fallbackCell(ch) {
+    if (isBraillePattern(ch)) return ch;
+    return /\s/.test(ch) ? BRAILLE_BLANK : BRAILLE_UNKNOWN;
+  }
+
+  /**
+   * Per-character cells: Array<string> with the same length as text, each
+   * entry 1..n braille chars (signs are prefixed to their character).
+   * Accepts { lang } as an alias of { locale } (BrailleMonitor).
+   */
+  function textToBrailleCells(text, options = {}) {
+    const raw = String(text ?? "");
+    const locale = resolveLocale(options.locale || options.lang);
+    const mod = locale ? global.BrailleRegistry[locale] : null;
+
+    let out = null;
+    if (mod) {
+      try {
+        out = mod.textToBrailleCells(raw);
+      } catch (err) {
+        if (global.console) console.warn("[Braille] translator error", locale, err);
+      }
+    }
+    if (!Array.isArray(out) || out.length !== raw.length) out = null;
+
+    return Array.from({ length: raw.length }, (_, i) => {
+      const ch = raw[i];
+      if (isBraillePattern(ch)) return ch;
+      const cell = out && out[i] != null ? String(out[i]) : "";
+      return cell || fallbackCell(ch);
+    });
+  }
+
+  /**
+   * Translate a line.
+   * @returns {{ locale, unicode: string, cells: Array<string>, map: Object }}
+   *   cells: one braille char per display cell; map: BrailleCellMap
+   *   ({ cellToText, textToCell, ... }) for routing
+   */
+  function translate(text, options = {}) {
+    const raw = String(text ?? "");
+    const locale = resolveLocale(options.locale || options.lang);
+    const perChar = textToBrailleCells(raw, { locale });
+
+    const CM = global.BrailleCellMap;
+    const map = CM && typeof CM.fromCharCells === "function"
+      ? CM.fromCharCells(raw, perChar)
+      : null;
+    const cells = map ? map.cells : Array.from(perChar.join(""));
+
+    return { locale, unicode: cells.join(""), cells, map };
+  }
+
+  function textToBrailleUnicode(text, options = {}) {
+    return textToBrailleCells(text, options).join("");
+  }
+
+  // Dots 7-8 have no Braille ASCII character and are dropped
+  function unicodeToAscii(unicode) {
+    return Array.from(String(unicode ?? ""), ch => {
+      if (!isBraillePattern(ch)) return ch;
+      return BRAILLE_ASCII[(ch.charCodeAt(0) - 0x2800) & 0x3f];
+    }).join("");
+  }
 
-    if (!mod || typeof mod.toAscii !== "function") return String(text ?? "");
-    return mod.toAscii(String(text ?? ""), { mode, locale });
+  function textToBrailleAscii(text, options = {}) {
+    const locale = options.locale || getLocale();
+    return unicodeToAscii(textToBrailleUnicode(text, { locale }));
   }
 
+  // ---------------------------------------------------------------------------
+  // GLOBAL EXPORT
+  // ---------------------------------------------------------------------------
   global.Braille = {
     getLocale,
     getMode,
-    textToBrailleAscii
+    register,
+    hasLocale,
+    getLocales,
+    translate,
+    textToBrailleCells,
+    textToBrailleUnicode,
+    textToBrailleAscii,
+    unicodeToAscii
   };
-})(window);
\ No newline at end of file
+})(window);
@@ -1,4 +1,10 @@
 // /js/braille/nl.js
+// Dutch 6-dot literary braille (volschrift, no contractions).
+// textToBrailleCells(text) returns one cell string per character of text
+// (same length as text); signs such as capital, number and letter sign are
+// prefixed to the cell string of the character they belong to, so cellmap.js
+// can route every cell back to its character.
+// Reference examples: node tools/checks/braille-nl.js
 (function (global) {
   "use strict";
 
@@ -12,70 +18,236 @@
     u: "⠥", v: "⠧", w: "⠺", x: "⠭", y: "⠽", z: "⠵"
   };
 
+  // Letters with their own cell (shared with the French table)
+  const ACCENT = {
+    "é": "⠿", "è": "⠮", "ê": "⠣", "ë": "⠫",
+    "à": "⠷", "â": "⠡", "ä": "⠜",
+    "ï": "⠻", "î": "⠩",
+    "ô": "⠹", "ö": "⠪",
+    "ù": "⠾", "û": "⠱", "ü": "⠳",
+    "ç": "⠯"
+  };
+
   const DIGIT = {
     "1": "⠁", "2": "⠃", "3": "⠉", "4": "⠙", "5": "⠑",
     "6": "⠋", "7": "⠛", "8": "⠓", "9": "⠊", "0": "⠚"
   };
 
-  // Basispunctuatie (conservatief). Als jouw NL brailletabel andere tekens wil,
-  // pas alleen deze mapping aan.
   const PUNCT = {
-    " ": "⠀",
+    " ": "⠀", "\u00a0": "⠀", "\t": "⠀", "\n": "⠀",
     ".": "⠲",
     ",": "⠂",
     ";": "⠆",
     ":": "⠒",
-    "?": "⠦",
+    "?": "⠢",
     "!": "⠖",
-    "-": "⠤",
-    "'": "⠄",
-    "\"": "⠶",
-    "(": "⠶",
-    ")": "⠶",
-    "/": "⠌"
+    "-": "⠤", "‐": "⠤",
+    "–": "⠤⠤", "—": "⠤⠤",
+    "…": "⠲⠲⠲",
+    "'": "⠄", "‘": "⠄", "’": "⠄", "ʼ": "⠄",
+    "\"": "⠶", "“": "⠶", "”": "⠶", "„": "⠶", "«": "⠶", "»": "⠶",
+    "(": "⠦", ")": "⠴",
+    "[": "⠘⠦", "]": "⠴⠃",
+    "{": "⠨⠦", "}": "⠴⠅",
+    "/": "⠌",
+    "\\": "⠸⠡",
+    "*": "⠔",
+    "&": "⠈⠯",
+    "@": "⠈⠁",
+    "#": "⠸⠹",
+    "_": "⠨⠤",
+    "|": "⠸⠳",
+    "~": "⠈⠔",
+    "§": "⠬",
+    "°": "⠨⠚"
+  };
+
+  const CURRENCY = {
+    "€": "⠈⠑",
+    "$": "⠈⠎",
+    "£": "⠈⠇",
+    "¥": "⠈⠽",
+    "¢": "⠈⠉"
+  };
+
+  const MATH = {
+    "+": "⠐⠖",
+    "−": "⠐⠤",
+    "×": "⠐⠦",
+    "÷": "⠐⠌",
+    "=": "⠐⠶",
+    "<": "⠈⠣",
+    ">": "⠈⠜",
+    "±": "⠸⠖",
+    "%": "⠨⠴",
+    "‰": "⠨⠴⠴",
+    "^": "⠈⠢"
   };
-  
-  
-  const SIGN_CAPITAL = "⠨"; // correct NL (dots 4-6)
+
+  const SIGN_CAPITAL = "⠨";         // dots 4-6: next letter is a capital
+  const SIGN_CAPITAL_WORD = "⠨⠨";   // whole word in capitals
+  const SIGN_CAPITAL_PASSAGE = "⠨⠨⠨"; // capitals until the terminator
+  const SIGN_CAPITAL_END = "⠨⠄";    // ends a capital passage
+  const SIGN_LETTER = "⠰";          // dots 5-6: a–j after a number are letters
+  const SIGN_ACCENT = "⠘";          // dots 4-5 + base letter: accent without own cell
   const NUMBER  = "⠼";
   const UNKNOWN = "⣿";
 
+  // Capital words in a row that turn into a passage
+  const PASSAGE_MIN_WORDS = 3;
+
+  // Inside a number: 1.000 and 3,5 keep the number sign running
+  const NUMBER_SEPARATOR = { ",": "⠂", ".": "⠄" };
+
+  const has = (map, key) => Object.prototype.hasOwnProperty.call(map, key);
+
   function isDigit(ch) {
     return ch >= "0" && ch <= "9";
   }
 
+  function isApostrophe(ch) {
+    return ch === "'" || ch === "’" || ch === "ʼ";
+  }
+
+  // Base cell of a lower-case letter; accents without their own cell fall back
+  // to the accent sign + base letter (á → ⠘⠁, ñ → ⠘⠝).
+  function letterCell(lower) {
+    if (has(LETTER, lower)) return LETTER[lower];
+    if (has(ACCENT, lower)) return ACCENT[lower];
+    const base = lower.normalize("NFD").charAt(0);
+    if (base !== lower && has(LETTER, base)) return SIGN_ACCENT + LETTER[base];
+    return null;
+  }
+
+  function isLetter(ch) {
+    return !!ch && letterCell(ch.toLowerCase()) !== null;
+  }
+
+  // Words: letter runs, with apostrophes inside (auto's) or in front of
+  // a letter ('s, 't) belonging to the word.
+  function findWords(raw) {
+    const words = [];
+    let i = 0;
+    while (i < raw.length) {
+      const startsWithApostrophe = isApostrophe(raw[i]) && isLetter(raw[i + 1]) && !isLetter(raw[i - 1]);
+      if (!isLetter(raw[i]) && !startsWithApostrophe) {
+        i++;
+        continue;
+      }
+      const start = i;
+      let upper = 0;
+      let lower = 0;
+      while (i < raw.length && (isLetter(raw[i]) || (isApostrophe(raw[i]) && isLetter(raw[i + 1])))) {
+        const ch = raw[i];
+        if (isLetter(ch)) {
+          if (ch !== ch.toLowerCase()) upper++;
+          else lower++;
+        }
+        i++;
+      }
+      words.push({ start, end: i, caps: upper >= 2 && lower === 0 });
+    }
+    return words;
+  }
+
+  // Runs of PASSAGE_MIN_WORDS or more capital words separated by spaces and
+  // punctuation only (no digits, no lower-case words between them).
+  function findPassages(raw, words) {
+    const passages = [];
+    let run = [];
+
+    const flush = () => {
+      if (run.length >= PASSAGE_MIN_WORDS) passages.push({ first: run[0], last: run[run.length - 1] });
+      run = [];
+    };
+
+    for (const word of words) {
+      if (!word.caps) {
+        flush();
+        continue;
+      }
+      const prev = run[run.length - 1];
+      if (prev && /\d/.test(raw.slice(prev.end, word.start))) flush();
+      run.push(word);
+    }
+    flush();
+    return passages;
+  }
+
   function textToBrailleCellsNL(text) {
     const raw = String(text ?? "");
     const out = new Array(raw.length);
 
+    // Capital sign per letter index: word/passage indicators go on the first
+    // letter, the passage terminator after the last letter.
+    const capsWord = new Map();   // first index → sign
+    const capsCovered = new Set(); // indexes that need no capital sign
+    const passageEnd = new Set();
+
+    const words = findWords(raw);
+    const passages = findPassages(raw, words);
+    const inPassage = new Set();
+
+    for (const { first, last } of passages) {
+      let on = false;
+      for (const word of words) {
+        if (word === first) on = true;
+        if (on) inPassage.add(word);
+        if (word === last) break;
+      }
+      capsWord.set(first.start, SIGN_CAPITAL_PASSAGE);
+      passageEnd.add(last.end - 1);
+    }
+
+    for (const word of words) {
+      if (!word.caps) continue;
+      if (!inPassage.has(word)) capsWord.set(word.start, SIGN_CAPITAL_WORD);
+      for (let k = word.start; k < word.end; k++) capsCovered.add(k);
+    }
+
     let inNumberRun = false;
+    let pendingSign = "";
 
     for (let i = 0; i < raw.length; i++) {
       const ch = raw[i];
+      // A word indicator may start on a leading apostrophe ('T HUIS)
+      if (capsWord.has(i)) pendingSign = capsWord.get(i);
 
       if (isDigit(ch)) {
-        const cell = DIGIT[ch] || UNKNOWN;
-        if (!inNumberRun) {
-          out[i] = NUMBER + cell;
-          inNumberRun = true;
-        } else {
-          out[i] = cell;
-        }
+        const cell = DIGIT[ch];
+        out[i] = inNumberRun ? cell : (NUMBER + cell);
+        inNumberRun = true;
         continue;
-      } else {
-        inNumberRun = false;
       }
 
-      if (Object.prototype.hasOwnProperty.call(PUNCT, ch)) {
-        out[i] = PUNCT[ch];
+      if (inNumberRun && has(NUMBER_SEPARATOR, ch) && isDigit(raw[i + 1] || "")) {
+        out[i] = NUMBER_SEPARATOR[ch];
         continue;
       }
 
+      const afterNumber = inNumberRun;
+      inNumberRun = false;
+
       const lower = ch.toLowerCase();
-      if (Object.prototype.hasOwnProperty.call(LETTER, lower)) {
-        const cell = LETTER[lower];
-        const isUpper = ch !== lower;
-        out[i] = isUpper ? (CAPITAL + cell) : cell;
+      const cell = letterCell(lower);
+      if (cell !== null) {
+        let sign = pendingSign;
+        pendingSign = "";
+        if (!sign && ch !== lower && !capsCovered.has(i)) sign = SIGN_CAPITAL;
+        // 3a: without the letter sign "a" would read as the digit 1
+        if (!sign && afterNumber && ch === lower && "abcdefghij".includes(lower)) sign = SIGN_LETTER;
+        out[i] = sign + cell + (passageEnd.has(i) ? SIGN_CAPITAL_END : "");
+        continue;
+      }
+
+      let symbol = null;
+      if (has(PUNCT, ch)) symbol = PUNCT[ch];
+      else if (has(CURRENCY, ch)) symbol = CURRENCY[ch];
+      else if (has(MATH, ch)) symbol = MATH[ch];
+
+      if (symbol !== null) {
+        out[i] = pendingSign + symbol;
+        pendingSign = "";
         continue;
       }
 
@@ -89,4 +261,4 @@
     id: "nl",
     textToBrailleCells: textToBrailleCellsNL
   };
-})(window);
\ No newline at end of file
+})(window);
@@ -4,11 +4,82 @@
  * Two-way communication with the local BrailleBridge:
  *  - HTTP  : send text to braille display (/braille) and clear (/clear)
  *  - WS    : receive key events (cursor routing, thumbkeys, etc.)
+ *  - Editor: SSoC editor mode (editorInput / setEditorMode, /editor/* routes)
+ *  - Device: discovery (/devices), selection, display cell count
+ *  - Tables: list (/tables), select (/brailletable), active table tracking
+ *  - Health: /ping heartbeat, latency, "status" event
+ *  - Keyboard: Perkins dot-key chords → "braillechar" / "braillekey"
+ *  - Gestures: thumb long/double press, both thumbs, thumb + routing → "gesture"
+ *  - Contract: versioned schema check of inbound messages → "contractviolation"
+ *  - Routing: strip-aware routing keys (primary / secondary row, status cells)
  *
  * Usage (simple):
  *   BrailleBridge.connect();
  *   BrailleBridge.on("cursor", evt => console.log(evt.index));
  *   BrailleBridge.sendText("Hallo braille!");
+ *
+ * Usage (editor mode):
+ *   await BrailleBridge.editor.enable();
+ *   BrailleBridge.editor.input({ kind: "text", text: "Hallo" });
+ *   BrailleBridge.editor.input({ kind: "key", key: "Backspace" });
+ *   BrailleBridge.on("cursorcontext", evt => console.log(evt.cellIndex, evt.word));
+ *   BrailleBridge.on("keyevent", evt => console.log(evt.name, evt.dotsMask));
+ *
+ * Usage (command/response):
+ *   const res = await BrailleBridge.command(
+ *     { type: "command", command: "editorInput", input: { kind: "text", text: "a" } },
+ *     { waitFor: "brailleLine", timeoutMs: 2000 }
+ *   );
+ *   console.log(res.latencyMs, res.message.Braille.UnicodeText);
+ *
+ * Usage (transports):
+ *   const { LoopbackTransport, BroadcastChannelTransport } = BrailleBridgeTransports;
+ *   createBrailleBridge({ transport: new LoopbackTransport({ server: new SsocSimulator() }) });
+ *   createBrailleBridge({ transport: "broadcast", channel: "klas-1" });
+ *
+ * Usage (tables):
+ *   const { tables } = await BrailleBridge.listTables();
+ *   await BrailleBridge.setTable("nl-NL-g0.utb");
+ *   await BrailleBridge.setTableForMode("computer", "nl");  // 6-dot "literacy" | 8-dot "computer"
+ *   BrailleBridge.on("tablechanged", evt => console.log(evt.table));
+ *
+ * Usage (routing strips):
+ *   BrailleBridge.on("cursor", evt => select(evt.index));            // primary strip only
+ *   BrailleBridge.on("routing", evt => {                             // every strip
+ *     if (evt.role === "secondary") speakLetter(evt.index, evt.row);
+ *   });
+ *
+ * Usage (braille keyboard):
+ *   BrailleBridge.on("braillechar", evt => console.log(evt.dots, evt.unicode)); // [1,2] "⠃"
+ *   BrailleBridge.on("braillekey", evt => console.log(evt.key));   // "Space" | "Backspace" | "Enter"
+ *
+ * Usage (gestures):
+ *   BrailleBridge.on("gesture", g => {
+ *     if (g.gesture === "longpress" && g.key === "rightthumb") repeatAudio();
+ *     if (g.gesture === "combo" && g.name === "leftthumb+rightthumb") stop();
+ *   });
+ *
+ * Usage (connection health):
+ *   BrailleBridge.on("status", s => console.log(s.state, s.latencyMs, s.device));
+ *   // s.state: "connecting" | "online" | "degraded" | "offline"
+ *
+ * Usage (contract diagnostics):
+ *   BrailleBridge.on("contractviolation", v => console.warn(v.message, v.violations, v.raw));
+ *   BrailleBridge.getContractStats();  // { version, messages, invalid, violations, byKind, byField, ... }
+ *
+ * Usage (record / replay):
+ *   BrailleBridge.startRecording();
+ *   ...
+ *   const jsonl = BrailleBridge.exportRecording();   // or downloadRecording()
+ *   await BrailleBridge.replay(jsonl, { speed: 4 }); // through _handleWsMessage
+ *
+ * Usage (output pipeline):
+ *   const res = await BrailleBridge.sendText("bal");  // { ok, seq } | { skipped } | { coalesced } | { queued }
+ *     // rejects when the line could not be sent (see sendText)
+ *   BrailleBridge.on("output", o => {
+ *     if (o.status === "echoed") console.log(o.seq, o.latencyMs);  // brailleLine came back
+ *   });
+ *   BrailleBridge.getOutputStats();  // { sent, skipped, coalesced, echoed, lastLatencyMs, ... }
  */
 
 (function (global) {
@@ -20,10 +91,36 @@
   const DEFAULT_CONFIG = {
     baseUrl: "http://localhost:5000", // HTTP base
     wsUrl: "ws://localhost:5000/ws",  // WebSocket URL
-    displayCells: 40,                 // default braille cells to pad to
+    displayCells: 40,                 // default braille cells to pad to (updated from /devices)
+    // keyEvent Strip (and optional UnitId) → routing role and text row;
+    // "primary" routing also fires "cursor", other roles only "routing"
+    routingStrips: [
+      { strip: 0, role: "primary", row: 0 },
+      { strip: 1, role: "secondary", row: 0 },
+      { strip: 2, role: "status", row: null }
+    ],
+    autoDetectDevice: true,           // GET /devices after connecting
     autoReconnect: true,
     reconnectDelay: 2000,             // ms initial delay
     maxReconnectDelay: 10000,         // ms max delay
+    commandTimeoutMs: 3000,           // ms before command()/waitForMessage() rejects
+    queueWhenOffline: true,           // queue intents while the bridge is unreachable
+    resyncOnReconnect: true,          // re-push the current line after a reconnect
+    outputFrameMs: 16,                // line updates within this window collapse into the latest
+    outputMinIntervalMs: 40,          // ms between two line requests (rate limit)
+    heartbeatIntervalMs: 5000,        // ms between /ping checks while connected (0 = off)
+    heartbeatTimeoutMs: 2000,         // ms before a ping counts as missed
+    heartbeatMaxMisses: 2,            // missed pings before the socket is treated as half-open
+    degradedLatencyMs: 500,           // ping round-trip above this reports "degraded"
+    brailleKeyboard: true,            // recognize dot-key chords from keyEvent DotsMask
+    chordTimeoutMs: 3000,             // ms without key activity before a stuck chord is dropped
+    gestures: true,                   // recognize thumb-key gestures ("gesture" event)
+    longPressMs: 700,                 // hold a thumb key this long → "longpress"
+    doublePressMs: 350,               // second tap within this window → "doublepress"
+    validateContract: true,           // check inbound messages against CONTRACT_SCHEMAS
+    contractVersion: 1,               // schema version expected from BrailleBridge
+    record: false,                    // start recording the session immediately
+    recordLimit: 20000,               // max recorded entries (oldest dropped)
     debug: false                      // debug logs to console
   };
 
@@ -35,242 +132,2282 @@
       this._handlers = new Map();
     }
 
-    on(eventName, handler) {
-      if (!this._handlers.has(eventName)) {
-        this._handlers.set(eventName, new Set());
+    on(eventName, handler) {
+      if (!this._handlers.has(eventName)) {
+        this._handlers.set(eventName, new Set());
+      }
+      this._handlers.get(eventName).add(handler);
+      return () => this.off(eventName, handler);
+    }
+
+    off(eventName, handler) {
+      const set = this._handlers.get(eventName);
+      if (!set) return;
+      set.delete(handler);
+      if (set.size === 0) {
+        this._handlers.delete(eventName);
+      }
+    }
+
+    emit(eventName, payload) {
+      const set = this._handlers.get(eventName);
+      if (!set) return;
+      for (const fn of set) {
+        try {
+          fn(payload);
+        } catch (err) {
+          console.error("BrailleBridge handler error for", eventName, err);
+        }
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // TRANSPORTS
+  // ---------------------------------------------------------------------------
+  // A transport moves bytes; the Bridge owns the protocol (normalization,
+  // queue, reconnect, commands). Any object with this shape can be plugged in
+  // via createBrailleBridge({ transport }) or bridge.setTransport():
+  //
+  //   name                      : string, used in logs and "connected" events
+  //   simulated                 : optional bool, true if no real bridge is behind it
+  //   configure(config)         : optional, receives the Bridge config
+  //   open(handlers)            : handlers = { onOpen(info), onClose(info),
+  //                               onError(err), onMessage(data) }
+  //   close()                   : close and call handlers.onClose()
+  //   dispose()                 : close WITHOUT calling any handler
+  //   isOpen(), isConnecting()
+  //   send(data)                : WebSocket-style message (string)
+  //   request(method, path, body, contentType) → Promise<{ ok, status, body }>
+
+  /**
+   * Default transport: HTTP fetch to baseUrl + WebSocket to wsUrl.
+   */
+  class WebSocketTransport {
+    constructor(options = {}) {
+      this.name = "websocket";
+      this._explicit = { ...options };  // explicit options win over Bridge config
+      this._options = { ...options };
+      this._ws = null;
+    }
+
+    configure(config) {
+      this._options = { baseUrl: config.baseUrl, wsUrl: config.wsUrl, ...this._explicit };
+    }
+
+    open(handlers) {
+      if (this.isOpen() || this.isConnecting()) return;
+
+      const wsUrl = this._options.wsUrl;
+      const ws = new WebSocket(wsUrl);
+      this._ws = ws;
+
+      ws.onopen = () => handlers.onOpen({ wsUrl });
+      ws.onclose = (evt) => {
+        if (this._ws === ws) this._ws = null;
+        handlers.onClose({ code: evt.code, reason: evt.reason });
+      };
+      ws.onerror = (err) => handlers.onError(err);
+      ws.onmessage = (evt) => handlers.onMessage(evt.data);
+    }
+
+    close() {
+      if (this._ws) this._ws.close();
+    }
+
+    dispose() {
+      const ws = this._ws;
+      this._ws = null;
+      if (!ws) return;
+      ws.onopen = ws.onclose = ws.onerror = ws.onmessage = null;
+      try { ws.close(); } catch {}
+    }
+
+    isOpen() {
+      return !!this._ws && this._ws.readyState === WebSocket.OPEN;
+    }
+
+    isConnecting() {
+      return !!this._ws && this._ws.readyState === WebSocket.CONNECTING;
+    }
+
+    send(data) {
+      this._ws.send(data);
+    }
+
+    async request(method, path, body, contentType) {
+      const url = this._options.baseUrl + path;
+      const init = { method };
+      if (method !== "GET") {
+        init.headers = { "Content-Type": contentType };
+        init.body = body;
+      }
+
+      const res = await fetch(url, init);
+      const text = await res.text().catch(() => "");
+      return { ok: res.ok, status: res.status, body: text };
+    }
+  }
+
+  /**
+   * In-memory transport. With a `server` (e.g. an SsocSimulator: handleHttp,
+   * handleWs, onMessage) it behaves like a local bridge; without one, use
+   * inject(msg) to feed inbound messages and options.onSend/onRequest to
+   * observe outbound traffic.
+   */
+  class LoopbackTransport {
+    constructor(options = {}) {
+      this.name = options.name || "loopback";
+      this.simulated = true;
+      this._server = options.server || null;
+      this._onSend = typeof options.onSend === "function" ? options.onSend : null;
+      this._onRequest = typeof options.onRequest === "function" ? options.onRequest : null;
+      this._handlers = null;
+      this._open = false;
+    }
+
+    open(handlers) {
+      if (this._open) return;
+      this._handlers = handlers;
+      this._open = true;
+      if (this._server) this._server.onMessage((data) => this.inject(data));
+      handlers.onOpen({ wsUrl: this.name });
+    }
+
+    close() {
+      if (!this._open) return;
+      const handlers = this._handlers;
+      this.dispose();
+      if (handlers) handlers.onClose({ code: 1000, reason: this.name + " closed" });
+    }
+
+    dispose() {
+      this._open = false;
+      this._handlers = null;
+      if (this._server) this._server.onMessage(null);
+    }
+
+    isOpen() {
+      return this._open;
+    }
+
+    isConnecting() {
+      return false;
+    }
+
+    /**
+     * Deliver an inbound message (string or object) as if it came from the bridge.
+     */
+    inject(data) {
+      if (!this._open || !this._handlers) return;
+      this._handlers.onMessage(typeof data === "string" ? data : JSON.stringify(data));
+    }
+
+    send(data) {
+      if (this._server) this._server.handleWs(data);
+      if (this._onSend) this._onSend(data);
+    }
+
+    async request(method, path, body, contentType) {
+      if (this._server) return this._server.handleHttp(method, path, body, contentType);
+      if (this._onRequest) return this._onRequest(method, path, body, contentType);
+      return { ok: false, status: 501, body: "" };
+    }
+  }
+
+  /**
+   * Transport over a BroadcastChannel to another tab that owns the real
+   * bridge (teacher tab ↔ student tab). The owning tab shares its bridge with
+   *   const host = BroadcastChannelTransport.host(BrailleBridge, { channel });
+   * and the other tab uses
+   *   createBrailleBridge({ transport: new BroadcastChannelTransport({ channel }) })
+   */
+  const DEFAULT_CHANNEL = "braillebridge";
+
+  class BroadcastChannelTransport {
+    constructor(options = {}) {
+      this.name = "broadcast";
+      this._channelName = options.channel || DEFAULT_CHANNEL;
+      this._timeoutMs = options.timeoutMs || 3000;
+      this._channel = null;
+      this._handlers = null;
+      this._open = false;
+      this._connecting = false;
+      this._helloTimer = null;
+      this._requests = new Map();   // id → { resolve, reject, timer }
+      this._seq = 0;
+    }
+
+    open(handlers) {
+      if (this._open || this._connecting) return;
+      if (typeof BroadcastChannel === "undefined") {
+        throw new Error("BroadcastChannel is not supported in this browser");
+      }
+
+      this._handlers = handlers;
+      this._connecting = true;
+      this._channel = new BroadcastChannel(this._channelName);
+      this._channel.onmessage = (evt) => this._onChannelMessage(evt.data);
+      this._channel.postMessage({ kind: "hello" });
+
+      this._helloTimer = setTimeout(() => {
+        if (!this._connecting) return;
+        this._teardown("no host tab");
+        handlers.onClose({ code: 1006, reason: "no host tab on " + this._channelName });
+      }, this._timeoutMs);
+    }
+
+    _onChannelMessage(msg) {
+      if (!msg || typeof msg !== "object") return;
+
+      if (msg.kind === "welcome" && this._connecting) {
+        clearTimeout(this._helloTimer);
+        this._helloTimer = null;
+        this._connecting = false;
+        this._open = true;
+        this._handlers.onOpen({ wsUrl: "broadcast:" + this._channelName });
+        return;
+      }
+
+      if (msg.kind === "message" && this._open) {
+        this._handlers.onMessage(msg.data);
+        return;
+      }
+
+      if (msg.kind === "response") {
+        const req = this._requests.get(msg.id);
+        if (!req) return;
+        this._requests.delete(msg.id);
+        clearTimeout(req.timer);
+        if (msg.error) req.reject(new Error(msg.error));
+        else req.resolve(msg.res);
+        return;
+      }
+
+      if (msg.kind === "bye" && this._open) {
+        const handlers = this._handlers;
+        this._teardown("host tab closed");
+        handlers.onClose({ code: 1001, reason: "host tab closed" });
+      }
+    }
+
+    _teardown(reason) {
+      clearTimeout(this._helloTimer);
+      this._helloTimer = null;
+      this._open = false;
+      this._connecting = false;
+      this._handlers = null;
+      for (const req of this._requests.values()) {
+        clearTimeout(req.timer);
+        req.reject(new Error(reason));
+      }
+      this._requests.clear();
+      if (this._channel) {
+        this._channel.onmessage = null;
+        this._channel.close();
+        this._channel = null;
+      }
+    }
+
+    close() {
+      if (!this._open && !this._connecting) return;
+      const handlers = this._handlers;
+      this._teardown("closed");
+      if (handlers) handlers.onClose({ code: 1000, reason: "closed" });
+    }
+
+    dispose() {
+      this._teardown("disposed");
+    }
+
+    isOpen() {
+      return this._open;
+    }
+
+    isConnecting() {
+      return this._connecting;
+    }
+
+    send(data) {
+      if (this._channel) this._channel.postMessage({ kind: "send", data });
+    }
+
+    request(method, path, body, contentType) {
+      if (!this._open) {
+        return Promise.reject(new Error("BroadcastChannel host not connected"));
+      }
+
+      const id = ++this._seq;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this._requests.delete(id);
+          reject(new Error("BroadcastChannel request timed out: " + method + " " + path));
+        }, this._timeoutMs);
+        this._requests.set(id, { resolve, reject, timer });
+        this._channel.postMessage({ kind: "request", id, method, path, body, contentType });
+      });
+    }
+
+    /**
+     * Share `bridge` with BroadcastChannelTransport clients in other tabs:
+     * relays their requests/messages to it and forwards every inbound message.
+     * Returns { close() }.
+     */
+    static host(bridge, options = {}) {
+      const channel = new BroadcastChannel(options.channel || DEFAULT_CHANNEL);
+
+      const offRaw = bridge.on("raw", (data) => {
+        channel.postMessage({ kind: "message", data });
+      });
+
+      channel.onmessage = (evt) => {
+        const msg = evt.data;
+        if (!msg || typeof msg !== "object") return;
+
+        if (msg.kind === "hello") {
+          channel.postMessage({ kind: "welcome" });
+        } else if (msg.kind === "send") {
+          bridge.sendWs(msg.data);
+        } else if (msg.kind === "request") {
+          bridge._request(msg.method, msg.path, msg.body, msg.contentType)
+            .then((res) => channel.postMessage({ kind: "response", id: msg.id, res }))
+            .catch((err) => channel.postMessage({ kind: "response", id: msg.id, error: String(err && err.message || err) }));
+        }
+      };
+
+      return {
+        close() {
+          offRaw();
+          channel.postMessage({ kind: "bye" });
+          channel.onmessage = null;
+          channel.close();
+        }
+      };
+    }
+  }
+
+  const TRANSPORTS = {
+    websocket: () => new WebSocketTransport(),
+    loopback: (config) => new LoopbackTransport({ server: config.server }),
+    broadcast: (config) => new BroadcastChannelTransport({ channel: config.channel })
+  };
+
+  /**
+   * Resolve `transport` (instance, registered name, or nothing) to an instance.
+   */
+  function resolveTransport(transport, config) {
+    if (!transport) return new WebSocketTransport();
+    if (typeof transport === "object") return transport;
+
+    const factory = TRANSPORTS[String(transport).toLowerCase()];
+    if (!factory) throw new Error("BrailleBridge: unknown transport '" + transport + "'");
+    return factory(config || {});
+  }
+
+  // ---------------------------------------------------------------------------
+  // CONTRACT SCHEMAS
+  // ---------------------------------------------------------------------------
+  // Inbound messages per contract version
+  // (documents/100-braillebridge brailleserver contract.txt).
+  // A field is a type name, a nested schema object, or
+  // { type, enum, optional }. Extra fields are allowed (forward compatible).
+  const KEY_KINDS = [1, 2, 3];      // 1 = cursor routing, 2 = thumb key, 3 = other keys
+  const LEGACY_KEY_KINDS = ["cursorroutingstrip", "cursorrouting", "thumbkey", "thumb"];
+
+  const CONTRACT_SCHEMAS = {
+    1: {
+      brailleLine: {
+        Type: { type: "string", enum: ["brailleLine"] },
+        Ok: "boolean",
+        TimestampUtc: "string",
+        SourceText: "string",
+        Braille: {
+          UnicodeText: "string",
+          Table: "string",
+          ModeUsed: "number",
+          CodeUnits: "string"
+        }
+      },
+      cursorContext: {
+        Type: { type: "string", enum: ["cursorContext"] },
+        Ok: "boolean",
+        TimestampUtc: "string",
+        SourceText: "string",
+        Table: "string",
+        Cursor: {
+          CellIndex: "number",
+          TextIndex: "number",
+          Character: "string",
+          CharacterCodePoint: "string",
+          Word: "string"
+        },
+        Braille: {
+          CellChar: "string",
+          CellCodePoint: "string",
+          IsCapitalSign: "boolean"
+        }
+      },
+      keyEvent: {
+        MsgType: { type: "number", enum: [8] },
+        UnitId: "number",
+        Strip: "number",
+        ButtonIndex: "number",
+        RawParam: "number",
+        IsPress: "boolean",
+        Kind: { type: "number", enum: KEY_KINDS },
+        Name: "string",
+        DotsMask: "number",
+        UnicodeCell: { type: "string", optional: true }
+      },
+      // Legacy key messages of older bridges (no Type / MsgType):
+      //   { Kind: 1, IsPress: true, CursorIndex: 9 }
+      //   { Kind: 2, IsPress: true, Name: "LeftThumb" }
+      //   { kind: "cursorRoutingStrip", press: true, cursorIndex: 9 }
+      legacyKey: {
+        Kind: { type: "number", enum: KEY_KINDS },
+        IsPress: { type: "boolean", optional: true },
+        CursorIndex: { type: "number", optional: true },
+        Name: { type: "string", optional: true }
+      },
+      legacyKeyCamel: {
+        kind: { type: "string", enum: LEGACY_KEY_KINDS, ignoreCase: true },
+        press: { type: "boolean", optional: true },
+        isPress: { type: "boolean", optional: true },
+        cursorIndex: { type: "number", optional: true },
+        name: { type: "string", optional: true }
+      }
+    }
+  };
+
+  /**
+   * Which contract message `msg` claims to be: by Type, or MsgType for keyEvent.
+   * Without either, a Kind / kind field marks one of the legacy key shapes.
+   */
+  function contractMessageName(msg) {
+    const type = msg.Type ?? msg.type;
+    if (typeof type === "string") {
+      const lower = type.toLowerCase();
+      if (lower === "brailleline") return "brailleLine";
+      if (lower === "cursorcontext") return "cursorContext";
+      return null;
+    }
+    if (msg.MsgType !== undefined || msg.msgType !== undefined) return "keyEvent";
+    if (typeof msg.Kind === "number") return "legacyKey";
+    if (typeof msg.kind === "string") return "legacyKeyCamel";
+    return null;
+  }
+
+  function validateFields(schema, obj, path, out) {
+    for (const field of Object.keys(schema)) {
+      const spec = schema[field];
+      const rule = typeof spec === "string" ? { type: spec }
+        : (typeof spec.type === "string" ? spec : { type: "object", fields: spec });
+      const name = path ? path + "." + field : field;
+      const value = obj[field];
+
+      if (value === undefined || value === null) {
+        if (!rule.optional) out.push({ kind: "missing-field", field: name, expected: rule.type });
+        continue;
+      }
+
+      const actual = Array.isArray(value) ? "array" : typeof value;
+      if (actual !== rule.type) {
+        out.push({ kind: "wrong-type", field: name, expected: rule.type, actual });
+        continue;
+      }
+      const compared = rule.ignoreCase && typeof value === "string" ? value.toLowerCase() : value;
+      if (rule.enum && !rule.enum.includes(compared)) {
+        out.push({ kind: "unknown-kind", field: name, expected: rule.enum.join("|"), actual: value });
+      }
+      if (rule.fields) validateFields(rule.fields, value, name, out);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // BRAILLE TABLES
+  // ---------------------------------------------------------------------------
+  // Fallback table per language and braille mode, used by setTableForMode()
+  // when /tables has no metadata to choose from.
+  const MODE_TABLES = {
+    nl: { literacy: "nl-NL-g0.utb", computer: "nl-comp8.utb" },
+    en: { literacy: "en-ueb-g1.ctb", computer: "en-us-comp8.ctb" }
+  };
+
+  // ---------------------------------------------------------------------------
+  // BRAILLE KEYBOARD (PERKINS)
+  // ---------------------------------------------------------------------------
+  // keyEvent.DotsMask uses the Unicode braille bit order: dot 1 = 0x01 ...
+  // dot 8 = 0x80, so a chord mask maps to U+2800 + mask.
+  // Chords that are keys rather than characters (space = the space bar):
+  const KEY_CHORDS = [
+    { key: "Space", space: true, dots: [] },
+    { key: "Backspace", space: false, dots: [7] },
+    { key: "Enter", space: false, dots: [8] },
+    { key: "Backspace", space: true, dots: [7] },
+    { key: "Enter", space: true, dots: [8] }
+  ];
+
+  function dotsToMask(dots) {
+    return (dots || []).reduce((mask, d) => mask | (1 << (d - 1)), 0);
+  }
+
+  function maskToDots(mask) {
+    const dots = [];
+    for (let d = 1; d <= 8; d++) {
+      if (mask & (1 << (d - 1))) dots.push(d);
+    }
+    return dots;
+  }
+
+  function findKeyChord(mask, space) {
+    return KEY_CHORDS.find(c => c.space === space && dotsToMask(c.dots) === mask) || null;
+  }
+
+  function isSpaceKeyName(nameLower) {
+    return nameLower === "space" || nameLower === "spacebar" || nameLower === "space bar";
+  }
+
+  // ---------------------------------------------------------------------------
+  // OUTPUT LINES
+  // ---------------------------------------------------------------------------
+  // Line intents are equal when they produce the same request
+  function sameLine(a, b) {
+    return Boolean(a && b) && a.method === b.method && a.path === b.path && a.body === b.body;
+  }
+
+  // What the brailleLine SourceText of a line intent looks like (clear → "")
+  function echoKey(intent) {
+    return intent.body == null ? "" : String(intent.body).trimEnd();
+  }
+
+  // ---------------------------------------------------------------------------
+  // BRIDGE CLASS
+  // ---------------------------------------------------------------------------
+  class Bridge extends Emitter {
+    constructor(config = {}) {
+      super();
+      const { transport, ...rest } = config;
+      this._config = { ...DEFAULT_CONFIG, ...rest };
+
+      this._transport = resolveTransport(transport, this._config);
+      if (typeof this._transport.configure === "function") {
+        this._transport.configure(this._config);
+      }
+
+      this._manualClose = false;
+      this._wantConnected = false;  // connect() called and not disconnect()ed
+      this._resyncNextOpen = false; // transport switched: re-push line on open
+      this._reconnectTimer = null;
+      this._currentDelay = this._config.reconnectDelay;
+
+      this._pending = new Set();    // waiters for command()/waitForMessage()
+
+      // Outbound queue (see OUTBOUND QUEUE section)
+      this._queue = [];             // ordered intents; at most one "line" intent
+      this._lastLine = null;        // last line intent, re-pushed on reconnect
+      this._linkDown = false;       // true after a WS drop / HTTP failure
+      this._hasConnected = false;
+      this._flushing = false;
+      this._flushTimer = null;
+      this._editorEnabled = null;   // null = unknown until status/mode is known
+
+      // Output pipeline (see OUTPUT PIPELINE section)
+      this._out = {
+        seq: 0,
+        pending: null,              // { intent, seq, force, resolve, reject } waiting for its frame
+        inFlight: null,             // entry being delivered (one at a time)
+        last: null,                 // last delivered line intent (diff base)
+        sentAt: -Infinity,          // _now() of the last delivery
+        timer: null,
+        awaiting: [],               // { seq, key, sentAt } waiting for the brailleLine echo
+        stats: null
+      };
+      this.resetOutputStats();
+
+      // Connection health (see HEARTBEAT / STATUS section)
+      this._heartbeatTimer = null;
+      this._heartbeatToken = 0;     // invalidates in-flight pings
+      this._heartbeatMisses = 0;
+      this._latencyMs = null;       // last ping round-trip
+      this._pingStatus = null;      // HTTP status of a /ping that was not ok
+      this._status = null;          // last emitted "status" payload
+
+      // Dot keys held / pressed in the current chord (see BRAILLE KEYBOARD)
+      this._chord = { down: 0, mask: 0, keys: new Map(), spaceDown: false, space: false, unitId: null, timer: null };
+
+      // Thumb keys currently held (see GESTURES)
+      this._thumbs = new Map();     // nameLower → { downAt, timer, longFired, combined }
+      this._lastTap = null;         // { key, fire, timer } waiting for a possible double press
+
+      this._contractStats = null;   // see CONTRACT DIAGNOSTICS
+      this.resetContractStats();
+
+      this._table = null;           // active braille table (from brailleLine / setTable)
+      this._tables = [];            // last /tables result
+
+      this._devices = [];           // last /devices result (normalized)
+      this._device = null;          // active device
+
+      // Session recording / replay (see RECORD / REPLAY section)
+      this._recording = null;       // array of entries while recording
+      this._lastRecording = null;   // entries of the last stopped recording
+      this._recordStart = 0;
+      this._replayToken = 0;
+      this._replaying = false;
+
+      // Namespaced editor API: BrailleBridge.editor.enable(), .input(), ...
+      this.editor = {
+        enable: () => this.enableEditor(),
+        disable: () => this.disableEditor(),
+        status: () => this.getEditorStatus(),
+        input: (input) => this.sendEditorInput(input),
+        setMode: (enabled) => this.setEditorMode(enabled),
+        isEnabled: () => this._editorEnabled
+      };
+
+      // config.record: record from the start (see RECORD / REPLAY)
+      if (this._config.record) this.startRecording();
+    }
+
+    // ----- CONFIG ------------------------------------------------------------
+    setConfig(partial) {
+      this._config = { ...this._config, ...partial };
+      if (typeof this._transport.configure === "function") {
+        this._transport.configure(this._config);
+      }
+    }
+
+    getConfig() {
+      return { ...this._config };
+    }
+
+    _now() {
+      return (typeof performance !== "undefined" && performance.now)
+        ? performance.now()
+        : Date.now();
+    }
+
+    // ----- LOGGING -----------------------------------------------------------
+    _logDebug(...args) {
+      if (this._config.debug) {
+        console.log("[BrailleBridge]", ...args);
+      }
+    }
+
+    // ----- HTTP HELPERS ------------------------------------------------------
+    async _request(method, path, body = null, contentType = "text/plain; charset=utf-8") {
+      this._logDebug("HTTP", method, path, "via", this._transport.name, body != null ? "body=" : "", body ?? "");
+
+      this._record({ dir: "out", channel: "http", method, path, body });
+      const res = await this._transport.request(method, path, body, contentType);
+      this._record({ dir: "in", channel: "http", method, path, status: res.status, ok: res.ok, body: res.body });
+      this.emit("http", { path, ok: res.ok, status: res.status, body: res.body });
+      return { ok: res.ok, status: res.status, body: res.body };
+    }
+
+    async _post(path, body, contentType = "text/plain; charset=utf-8") {
+      return this._request("POST", path, body, contentType);
+    }
+
+    async _postJson(path, obj) {
+      return this._post(path, JSON.stringify(obj ?? {}), "application/json; charset=utf-8");
+    }
+
+    async _get(path) {
+      return this._request("GET", path);
+    }
+
+    // ----- PUBLIC HTTP API ---------------------------------------------------
+    /**
+     * Send text to the braille display.
+     * Options:
+     *   - pad (bool)       : pad or cut to displayCells (default true)
+     *   - cells (number)   : override displayCells for this call
+     *   - force (bool)     : send even if the display already shows this line
+     *
+     * Goes through the output pipeline. Resolves to:
+     *   { ok, status, body, seq }        sent (ok: false for an HTTP error status)
+     *   { ok: true, skipped: true, seq } the display already shows this line
+     *   { ...result, coalesced: true, seq, supersededBy }
+     *                                    replaced by a newer line within the
+     *                                    frame; settles with that line's result
+     *   { ok: false, queued: true, pending, seq }
+     *                                    offline, sent later (queueWhenOffline)
+     * Rejects when the line (or the line that replaced it) could not be sent.
+     */
+    async sendText(text, options = {}) {
+      const {
+        pad = true,
+        cells = this._config.displayCells,
+        force = false
+      } = options;
+
+      let line = String(text || "");
+      if (pad) {
+        line = line.padEnd(cells, " ").substring(0, cells);
+      }
+
+      this._logDebug("sendText:", { line });
+      return this._submitLine({ kind: "line", method: "POST", path: "/braille", body: line }, force);
+    }
+
+    /**
+     * Alias for sendText()
+     */
+    async sendToBraille(text, options = {}) {
+      return this.sendText(text, options);
+    }
+
+    /**
+     * Clear the braille display (through the output pipeline, like sendText).
+     */
+    async clearDisplay(options = {}) {
+      this._logDebug("clearDisplay()");
+      // 👇 use GET instead of POST
+      const intent = { kind: "line", method: "GET", path: "/clear", body: null };
+      return this._submitLine(intent, Boolean(options.force));
+    }
+
+    async ping() {
+      // optional: if you implement /ping in your bridge
+      return this._get("/ping");
+    }
+
+    // ----- OUTPUT PIPELINE ----------------------------------------------------
+    // Every line update (sendText / clearDisplay) passes one pipeline:
+    //  - diff     : a line equal to the one on the display is skipped (force: true sends anyway)
+    //  - coalesce : updates within outputFrameMs collapse into the latest one
+    //  - order    : one line request in flight, at most one per outputMinIntervalMs
+    //  - latency  : lines carry a sequence number; the brailleLine that echoes
+    //               a line reports the time since it was sent
+    // Events:
+    //   "output" { seq, status, line, latencyMs }
+    //     status: "skipped" | "coalesced" | "sent" | "queued" | "failed" | "echoed"
+    // sendText() / clearDisplay() reject only on a failed send; see sendText().
+
+    getOutputStats() {
+      const { stats, pending, inFlight, seq } = this._out;
+      return { ...stats, seq, pending: Boolean(pending), inFlight: Boolean(inFlight) };
+    }
+
+    resetOutputStats() {
+      this._out.stats = {
+        sent: 0,
+        skipped: 0,
+        coalesced: 0,
+        failed: 0,
+        echoed: 0,
+        lastLatencyMs: null,
+        avgLatencyMs: null,
+        maxLatencyMs: null
+      };
+    }
+
+    // Forget what the display shows: the next line is sent even if unchanged
+    // (reconnect, table switch, editor input).
+    _invalidateOutput() {
+      this._out.last = null;
+    }
+
+    _submitLine(intent, force = false) {
+      const out = this._out;
+      const seq = ++out.seq;
+      const prev = out.pending;
+
+      if (!prev && !out.inFlight && !force && sameLine(out.last, intent)) {
+        out.stats.skipped++;
+        this.emit("output", { seq, status: "skipped", line: intent.body, latencyMs: null });
+        return Promise.resolve({ ok: true, skipped: true, seq, status: 0, body: "" });
+      }
+
+      const entry = { intent: { ...intent, seq }, seq, force: Boolean(force), resolve: null, reject: null };
+      const done = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+
+      if (prev) {
+        // Never shown: the newer line replaces it within the same frame, and
+        // its caller gets the newer line's outcome (a failed send rejects both)
+        out.stats.coalesced++;
+        entry.force = entry.force || (prev.force && sameLine(prev.intent, intent));
+        this.emit("output", { seq: prev.seq, status: "coalesced", line: prev.intent.body, latencyMs: null });
+        done.then(
+          result => prev.resolve({ ...result, coalesced: true, seq: prev.seq, supersededBy: result.supersededBy ?? result.seq }),
+          prev.reject
+        );
+      }
+
+      out.pending = entry;
+      this._scheduleOutput();
+      return done;
+    }
+
+    _scheduleOutput() {
+      const out = this._out;
+      if (out.timer || out.inFlight || !out.pending) return;
+
+      const sinceLast = this._now() - out.sentAt;
+      const wait = Math.max(this._config.outputFrameMs, this._config.outputMinIntervalMs - sinceLast, 0);
+      out.timer = setTimeout(() => {
+        out.timer = null;
+        this._pumpOutput();
+      }, wait);
+    }
+
+    async _pumpOutput() {
+      const out = this._out;
+      const entry = out.pending;
+      if (!entry || out.inFlight) return;
+      out.pending = null;
+
+      const { intent, seq } = entry;
+      if (!entry.force && sameLine(out.last, intent)) {
+        out.stats.skipped++;
+        this.emit("output", { seq, status: "skipped", line: intent.body, latencyMs: null });
+        entry.resolve({ ok: true, skipped: true, seq, status: 0, body: "" });
+        this._scheduleOutput();
+        return;
+      }
+
+      out.inFlight = entry;
+      out.last = intent;
+      out.sentAt = this._now();
+      this._lastLine = intent;
+      out.awaiting.push({ seq, key: echoKey(intent), sentAt: out.sentAt });
+      if (out.awaiting.length > 16) out.awaiting.shift();
+      out.stats.sent++;
+
+      try {
+        const result = await this._sendIntent(intent);
+        this.emit("output", { seq, status: result.queued ? "queued" : "sent", line: intent.body, latencyMs: null });
+        entry.resolve({ ...result, seq });
+      } catch (err) {
+        out.stats.failed++;
+        if (out.last === intent) out.last = null;
+        this.emit("output", { seq, status: "failed", line: intent.body, latencyMs: null, error: err });
+        entry.reject(err);
+      } finally {
+        out.inFlight = null;
+        this._scheduleOutput();
+      }
+    }
+
+    /**
+     * Match a brailleLine against the lines sent; returns { seq, latencyMs }
+     * of the newest sent line with the same text (older ones are dropped).
+     */
+    _matchOutputEcho(sourceText) {
+      const out = this._out;
+      const key = String(sourceText ?? "").trimEnd();
+      for (let i = out.awaiting.length - 1; i >= 0; i--) {
+        const sent = out.awaiting[i];
+        if (sent.key !== key) continue;
+
+        out.awaiting.splice(0, i + 1);
+        const latencyMs = this._now() - sent.sentAt;
+        const stats = out.stats;
+        stats.echoed++;
+        stats.lastLatencyMs = latencyMs;
+        stats.avgLatencyMs = stats.avgLatencyMs == null
+          ? latencyMs
+          : stats.avgLatencyMs + (latencyMs - stats.avgLatencyMs) / stats.echoed;
+        stats.maxLatencyMs = Math.max(stats.maxLatencyMs ?? 0, latencyMs);
+
+        this._logDebug("line echoed", sent.seq, latencyMs.toFixed(1), "ms");
+        this.emit("output", { seq: sent.seq, status: "echoed", line: sourceText, latencyMs });
+        return { seq: sent.seq, latencyMs };
+      }
+      return null;
+    }
+
+    // ----- OUTBOUND QUEUE -----------------------------------------------------
+    // Intents (line updates and editor inputs) that cannot be delivered while
+    // the bridge is unreachable are queued and flushed on "connected":
+    //  - line intents coalesce: only the latest line/clear is kept
+    //  - editor inputs keep their order
+    // Events:
+    //   "queued"  { pending, intent, reason }
+    //   "flushed" { pending, sent, remaining, resynced }
+
+    getPendingCount() {
+      return this._queue.length;
+    }
+
+    clearQueue() {
+      const dropped = this._queue.length;
+      this._queue = [];
+      if (dropped) this.emit("queued", { pending: 0, intent: null, reason: "cleared" });
+      return dropped;
+    }
+
+    async _deliver(intent) {
+      if (intent.kind === "editor") {
+        if (this.isConnected()) {
+          this.sendWs({ type: "command", command: "editorInput", input: intent.input });
+          return { ok: true, via: "ws" };
+        }
+        const result = await this._postJson("/editor/input", intent.input);
+        return { ...result, via: "http" };
+      }
+
+      if (intent.method === "GET") return this._get(intent.path);
+      return this._post(intent.path, intent.body);
+    }
+
+    async _sendIntent(intent) {
+      const canQueue = this._config.queueWhenOffline;
+
+      // Keep order: while anything is queued, new intents go behind it
+      if (canQueue && (this._linkDown || this._queue.length > 0)) {
+        return this._enqueue(intent, this._linkDown ? "offline" : "behind-queue");
+      }
+
+      try {
+        return await this._deliver(intent);
+      } catch (err) {
+        this.emit("error", { type: "http", error: err });
+        if (!canQueue) throw err;
+        this._linkDown = true;
+        this._updateStatus();
+        return this._enqueue(intent, "http-error");
+      }
+    }
+
+    _enqueue(intent, reason) {
+      if (intent.kind === "line") {
+        // latest line wins
+        this._queue = this._queue.filter(i => i.kind !== "line");
+      }
+      this._queue.push(intent);
+
+      this._logDebug("queued", intent.kind, "pending=", this._queue.length, "reason=", reason);
+      this.emit("queued", { pending: this._queue.length, intent: intent.kind, reason });
+
+      this._scheduleFlush();
+      this._updateStatus();
+
+      return { ok: false, queued: true, pending: this._queue.length, status: 0, body: "" };
+    }
+
+    _scheduleFlush() {
+      if (this._flushTimer || this._flushing) return;
+      // A pending (re)connect flushes on "connected"; no timer needed
+      if (this._reconnectTimer || this._transport.isConnecting()) return;
+
+      this._flushTimer = setTimeout(() => {
+        this._flushTimer = null;
+        this.flushQueue();
+      }, this._config.reconnectDelay);
+    }
+
+    /**
+     * Deliver queued intents in order. Called automatically on "connected".
+     * Options:
+     *   - resync (bool) : re-push the current line if no line was queued
+     */
+    async flushQueue(options = {}) {
+      const { resync = false } = options;
+      if (this._flushing) return;
+      this._flushing = true;
+      if (this._flushTimer) {
+        clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+      }
+
+      const pending = this._queue.length;
+      const hadLine = this._queue.some(i => i.kind === "line");
+      let sent = 0;
+      let resynced = false;
+      let failed = false;
+
+      try {
+        while (this._queue.length) {
+          const intent = this._queue[0];
+          try {
+            await this._deliver(intent);
+          } catch (err) {
+            this.emit("error", { type: "http", error: err });
+            failed = true;
+            break;
+          }
+          const idx = this._queue.indexOf(intent);
+          if (idx >= 0) this._queue.splice(idx, 1);
+          sent++;
+        }
+
+        if (!failed && resync && !hadLine && this._lastLine) {
+          try {
+            await this._deliver(this._lastLine);
+            resynced = true;
+          } catch (err) {
+            this.emit("error", { type: "http", error: err });
+            failed = true;
+          }
+        }
+      } finally {
+        this._flushing = false;
+      }
+
+      this._linkDown = failed;
+      if (failed) this._scheduleFlush();
+      this._updateStatus();
+
+      if (pending || resynced || failed) {
+        this._logDebug("flushed", { pending, sent, remaining: this._queue.length, resynced });
+        this.emit("flushed", { pending, sent, remaining: this._queue.length, resynced });
+      }
+    }
+
+    // ----- DEVICES -----------------------------------------------------------
+    // GET /devices may return an array or { devices: [...] }; each device is
+    // normalized to { id, name, cells, selected, connected, raw }.
+    // Events:
+    //   "devices"      { devices }
+    //   "device"       { id, name, cells, ..., source }
+    //   "displaycells" { cells, previous, device }  (config.displayCells changed)
+
+    _normalizeDevice(d, index) {
+      if (!d || typeof d !== "object") return null;
+      const cells = Number(
+        d.Cells ?? d.cells ?? d.CellCount ?? d.cellCount ??
+        d.TextCells ?? d.textCells ?? d.DisplayCells ?? d.displayCells
+      );
+      return {
+        id: String(d.Id ?? d.id ?? d.DeviceId ?? d.deviceId ?? d.Name ?? d.name ?? index),
+        name: String(d.Name ?? d.name ?? d.Model ?? d.model ?? ""),
+        cells: (Number.isFinite(cells) && cells > 0) ? cells : null,
+        selected: Boolean(d.Selected ?? d.selected ?? d.IsSelected ?? d.isSelected ?? d.Active ?? d.active),
+        connected: (d.Connected ?? d.connected) !== false,
+        raw: d
+      };
+    }
+
+    /**
+     * List braille displays known to the bridge (GET /devices).
+     * The selected device (or the only one) becomes the active device,
+     * which also updates displayCells.
+     */
+    async listDevices() {
+      const result = await this._get("/devices");
+      if (!result.ok) return [];
+
+      let json;
+      try {
+        json = JSON.parse(result.body || "null");
+      } catch (e) {
+        this.emit("error", { type: "parse", error: e, raw: result.body });
+        return [];
+      }
+
+      const arr = Array.isArray(json) ? json : (json?.devices ?? json?.Devices ?? []);
+      const devices = (Array.isArray(arr) ? arr : [])
+        .map((d, i) => this._normalizeDevice(d, i))
+        .filter(Boolean);
+
+      this._devices = devices;
+      this.emit("devices", { devices });
+
+      const active = devices.find(d => d.selected) || (devices.length === 1 ? devices[0] : null);
+      if (active) this._setDevice(active, "list");
+      return devices;
+    }
+
+    /**
+     * Select the display to use (POST /devices/select { id }).
+     */
+    async selectDevice(id) {
+      const result = await this._postJson("/devices/select", { id: String(id) });
+      if (!result.ok) return result;
+
+      const known = this._devices.find(d => d.id === String(id));
+      if (known) this._setDevice({ ...known, selected: true }, "select");
+      else await this.listDevices();
+      return result;
+    }
+
+    getDevice() {
+      return this._device ? { ...this._device } : null;
+    }
+
+    getDevices() {
+      return this._devices.slice();
+    }
+
+    /**
+     * Show the bridge test pattern on the display (GET /braille/test).
+     */
+    async testDisplay() {
+      return this._get("/braille/test");
+    }
+
+    _setDevice(device, source) {
+      this._device = device;
+      this.emit("device", { ...device, source });
+      this._updateStatus();
+
+      if (device.cells && device.cells !== this._config.displayCells) {
+        const previous = this._config.displayCells;
+        this.setConfig({ displayCells: device.cells });
+        this._logDebug("displayCells", previous, "->", device.cells);
+        this.emit("displaycells", { cells: device.cells, previous, device: device.id });
+      }
+    }
+
+    // ----- TABLES ------------------------------------------------------------
+    // GET /tables → { ok, count, tables: [{ FileName, DisplayName, Language, Metadata, ... }] }
+    // POST /brailletable (text/plain body = FileName)
+    // Every brailleLine carries Braille.Table, so the active table is tracked
+    // even when another page (tools/tables.html) switches it.
+    // Events:
+    //   "tables"       { count, tables }
+    //   "tablechanged" { table, previous, source: "set" | "brailleline" }
+
+    async listTables() {
+      const result = await this._get("/tables");
+      if (!result.ok) return { ok: false, status: result.status, count: 0, tables: [] };
+
+      let json;
+      try {
+        json = JSON.parse(result.body || "null");
+      } catch (e) {
+        this.emit("error", { type: "parse", error: e, raw: result.body });
+        return { ok: false, status: result.status, count: 0, tables: [] };
+      }
+
+      const tables = Array.isArray(json?.tables) ? json.tables : [];
+      const count = json?.count ?? tables.length;
+      this._tables = tables;
+      this.emit("tables", { count, tables });
+      return { ok: json?.ok === true, status: result.status, count, tables };
+    }
+
+    async setTable(name) {
+      const table = String(name || "").trim();
+      if (!table) throw new Error("BrailleBridge.setTable: table name is required");
+
+      const result = await this._post("/brailletable", table);
+      if (result.ok) {
+        this._setTable(table, "set");
+        // Re-render the current line with the new table
+        if (this._lastLine && this._lastLine.path === "/braille") {
+          this._submitLine(this._lastLine, true).catch((err) => this._logDebug("resend after setTable failed", err));
+        }
+      }
+      return result;
+    }
+
+    getTable() {
+      return this._table;
+    }
+
+    getTables() {
+      return this._tables.slice();
+    }
+
+    /**
+     * Pick and select a table for a braille mode:
+     *   "literacy" → 6-dot, "computer" → 8-dot
+     * Uses /tables metadata (Language, Metadata.dots) when available,
+     * otherwise MODE_TABLES[lang][mode]. An active table that already fits
+     * the mode and language is kept (result.kept), so a table chosen on the
+     * device or in tools/tables.html is not overwritten.
+     */
+    async setTableForMode(mode, lang = "nl") {
+      const m = String(mode || "").toLowerCase() === "computer" ? "computer" : "literacy";
+      const l = String(lang || "nl").toLowerCase().split("-")[0];
+      const dots = m === "computer" ? "8" : "6";
+
+      let tables = this._tables;
+      if (!tables.length) {
+        try {
+          tables = (await this.listTables()).tables;
+        } catch (err) {
+          this._logDebug("listTables failed", err);
+          tables = [];
+        }
+      }
+
+      const matches = tables.filter((t) => {
+        const language = String(t.Language || t.FileName || "").toLowerCase();
+        const tableDots = (t.Metadata && t.Metadata.dots) || [];
+        return language.startsWith(l) && tableDots.map(String).includes(dots);
+      });
+
+      const fallback = (MODE_TABLES[l] || MODE_TABLES.nl)[m];
+      const active = this._table;
+      if (active && (active === fallback || matches.some(t => t.FileName === active))) {
+        return { ok: true, status: 200, body: "", table: active, kept: true };
+      }
+
+      const chosen = matches.find(t => t.FileName === fallback) || matches[0];
+      const table = chosen ? chosen.FileName : fallback;
+      const result = await this.setTable(table);
+      return { ...result, table };
+    }
+
+    _setTable(table, source) {
+      if (!table || table === this._table) return;
+      const previous = this._table;
+      this._table = table;
+      if (source !== "brailleline") this._invalidateOutput();
+      this._logDebug("table", previous, "->", table, "(" + source + ")");
+      this.emit("tablechanged", { table, previous, source });
+    }
+
+    // ----- EDITOR MODE (SSoC) ------------------------------------------------
+    /**
+     * Normalize an editor input intent to the contract shape:
+     *   { kind: "text",    text: "Hello" }
+     *   { kind: "braille", unicode: "⠁" }
+     *   { kind: "key",     key: "Backspace" }
+     * Returns null if the input is not valid.
+     */
+    _normalizeEditorInput(input) {
+      if (!input || typeof input !== "object") return null;
+      const kind = String(input.kind || "").toLowerCase();
+
+      if (kind === "text") {
+        return { kind, text: String(input.text ?? "") };
+      }
+      if (kind === "braille") {
+        const unicode = String(input.unicode ?? "");
+        if (!unicode) return null;
+        return { kind, unicode };
+      }
+      if (kind === "key") {
+        const key = String(input.key ?? "");
+        if (!key) return null;
+        return { kind, key };
+      }
+      return null;
+    }
+
+    _setEditorEnabled(enabled, source) {
+      const next = Boolean(enabled);
+      if (this._editorEnabled === next) return;
+      this._editorEnabled = next;
+      this.emit("editormode", { enabled: next, source });
+    }
+
+    /**
+     * Enable editor mode (POST /editor/enable).
+     */
+    async enableEditor() {
+      this._logDebug("enableEditor()");
+      try {
+        const result = await this._postJson("/editor/enable", {});
+        if (result.ok) this._setEditorEnabled(true, "http");
+        return result;
+      } catch (err) {
+        this.emit("error", { type: "http", error: err });
+        throw err;
+      }
+    }
+
+    /**
+     * Disable editor mode (POST /editor/disable).
+     */
+    async disableEditor() {
+      this._logDebug("disableEditor()");
+      try {
+        const result = await this._postJson("/editor/disable", {});
+        if (result.ok) this._setEditorEnabled(false, "http");
+        return result;
+      } catch (err) {
+        this.emit("error", { type: "http", error: err });
+        throw err;
+      }
+    }
+
+    /**
+     * Query editor mode (GET /editor/status).
+     * Resolves to { ok, status, enabled } where enabled is null if unknown.
+     */
+    async getEditorStatus() {
+      try {
+        const result = await this._get("/editor/status");
+        let enabled = null;
+        try {
+          const json = JSON.parse(result.body || "{}");
+          const v = json.enabled ?? json.Enabled;
+          if (typeof v === "boolean") enabled = v;
+        } catch (e) {
+          this.emit("error", { type: "parse", error: e, raw: result.body });
+        }
+        if (enabled !== null) this._setEditorEnabled(enabled, "status");
+        return { ok: result.ok, status: result.status, enabled };
+      } catch (err) {
+        this.emit("error", { type: "http", error: err });
+        throw err;
+      }
+    }
+
+    /**
+     * Send an editor input intent.
+     * Uses the WebSocket when connected, otherwise POST /editor/input.
+     * Never updates UI state: the new content arrives as a brailleLine.
+     */
+    async sendEditorInput(input) {
+      const normalized = this._normalizeEditorInput(input);
+      if (!normalized) {
+        const err = new Error("Invalid editor input: " + JSON.stringify(input));
+        this.emit("error", { type: "editor", error: err, raw: input });
+        throw err;
+      }
+
+      this._invalidateOutput();
+      return this._sendIntent({ kind: "editor", input: normalized });
+    }
+
+    /**
+     * Switch editor mode over the WebSocket (setEditorMode command).
+     * Falls back to the HTTP enable/disable routes when not connected.
+     */
+    async setEditorMode(enabled) {
+      const on = Boolean(enabled);
+      if (this.isConnected()) {
+        this.sendWs({ type: "command", command: "setEditorMode", enabled: on });
+        this._setEditorEnabled(on, "ws");
+        return { ok: true, via: "ws" };
+      }
+      const result = on ? await this.enableEditor() : await this.disableEditor();
+      return { ...result, via: "http" };
+    }
+
+    // ----- TRANSPORT --------------------------------------------------------
+    /**
+     * Swap the transport (instance or registered name: "websocket",
+     * "loopback", "broadcast"). Consumers keep their event subscriptions;
+     * if connect() was called, the new transport is opened right away and
+     * the current line is re-pushed.
+     */
+    setTransport(transport) {
+      const next = resolveTransport(transport, this._config);
+      const prev = this._transport;
+      if (next === prev) return;
+
+      if (this._reconnectTimer) {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+      }
+
+      const wasOpen = prev.isOpen();
+      prev.dispose();
+      if (wasOpen) {
+        this._rejectAllPending("disconnected", "Transport switched");
+        this.emit("disconnected", { code: 1000, reason: "transport switched" });
+      }
+
+      this._stopHeartbeat();
+      this._invalidateOutput();
+      this._transport = next;
+      if (typeof next.configure === "function") next.configure(this._config);
+      this._resyncNextOpen = true;
+      this._currentDelay = this._config.reconnectDelay;
+      this._logDebug("Transport set:", next.name);
+
+      if (this._wantConnected) this.connect();
+    }
+
+    getTransport() {
+      return this._transport;
+    }
+
+    /**
+     * Replace HTTP + WebSocket with an in-browser SsocSimulator
+     * (js/ssoc-simulator.js) through a LoopbackTransport.
+     * Pass null to go back to the real bridge.
+     */
+    useSimulator(simulator) {
+      if (simulator) {
+        this.setTransport(new LoopbackTransport({ name: "simulator", server: simulator }));
+      } else {
+        this.setTransport(new WebSocketTransport());
+      }
+    }
+
+    isSimulated() {
+      return !!this._transport.simulated;
+    }
+
+    // ----- CONNECTION HANDLING ----------------------------------------------
+    connect() {
+      const transport = this._transport;
+      this._wantConnected = true;
+
+      if (transport.isOpen() || transport.isConnecting()) {
+        this._logDebug("Transport already open/connecting");
+        return;
+      }
+
+      this._manualClose = false;
+      this._logDebug("Connecting via", transport.name);
+      this._updateStatus();
+
+      try {
+        transport.open({
+          onOpen: (info) => this._onTransportOpen(transport, info),
+          onClose: (info) => this._onTransportClose(transport, info),
+          onError: (err) => {
+            this._logDebug("Transport ERROR", err);
+            this.emit("error", { type: "ws", error: err });
+          },
+          onMessage: (data) => {
+            if (transport === this._transport) this._handleWsMessage(data);
+          }
+        });
+      } catch (err) {
+        this._logDebug("Transport connect error", err);
+        this._linkDown = true;
+        this.emit("error", { type: "ws", error: err });
+        // maybe schedule reconnect
+        if (this._config.autoReconnect) {
+          this._scheduleReconnect();
+        }
+        this._updateStatus();
+      }
+    }
+
+    _onTransportOpen(transport, info) {
+      if (transport !== this._transport) return;
+      this._logDebug("Transport OPEN", transport.name);
+
+      this._currentDelay = this._config.reconnectDelay;
+      const isReconnect = this._hasConnected;
+      const resync = (isReconnect && this._config.resyncOnReconnect) || this._resyncNextOpen;
+      this._hasConnected = true;
+      this._resyncNextOpen = false;
+      this._linkDown = false;
+
+      this.emit("connected", {
+        wsUrl: info && info.wsUrl,
+        transport: transport.name,
+        simulator: !!transport.simulated,
+        reconnect: isReconnect,
+        pending: this._queue.length
+      });
+
+      this._heartbeatMisses = 0;
+      this._latencyMs = null;
+      this._pingStatus = null;
+      this._updateStatus();
+      this._startHeartbeat();
+
+      this.flushQueue({ resync });
+
+      if (this._config.autoDetectDevice) {
+        this.listDevices().catch((err) => this._logDebug("listDevices failed", err));
+      }
+    }
+
+    _onTransportClose(transport, info) {
+      if (transport !== this._transport) return;
+      const code = info ? info.code : undefined;
+      const reason = info ? info.reason : undefined;
+      this._logDebug("Transport CLOSE", code, reason);
+      this.emit("disconnected", { code, reason });
+
+      this._stopHeartbeat();
+      this._resetChord();
+      this._resetGestures();
+      this._rejectAllPending("disconnected", "Connection closed");
+      this._invalidateOutput();
+      if (!this._manualClose) this._linkDown = true;
+
+      // Auto reconnect if not manual close
+      if (!this._manualClose && this._config.autoReconnect) {
+        this._scheduleReconnect();
+      }
+      this._updateStatus();
+    }
+
+    _scheduleReconnect() {
+      if (this._reconnectTimer) return;
+
+      const delay = this._currentDelay;
+      this._logDebug("Scheduling reconnect in", delay, "ms");
+
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null;
+        this._currentDelay = Math.min(
+          this._currentDelay * 2,
+          this._config.maxReconnectDelay
+        );
+        this.connect();
+      }, delay);
+    }
+
+    disconnect() {
+      this._manualClose = true;
+      this._wantConnected = false;
+      if (this._reconnectTimer) {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+      }
+      if (this._flushTimer) {
+        clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+      }
+      this._stopHeartbeat();
+      const transport = this._transport;
+      if (transport.isOpen() || transport.isConnecting()) {
+        this._logDebug("Manual close");
+        transport.close();
+      }
+      this._updateStatus();
+    }
+
+    isConnected() {
+      return this._transport.isOpen();
+    }
+
+    sendWs(data) {
+      if (!this.isConnected()) {
+        this._logDebug("sendWs: not connected");
+        return;
+      }
+      const payload = typeof data === "string" ? data : JSON.stringify(data);
+      this._logDebug("sendWs:", payload);
+      this._record({ dir: "out", channel: "ws", data: payload });
+      this._transport.send(payload);
+    }
+
+    // ----- HEARTBEAT / STATUS -------------------------------------------------
+    // While connected, GET /ping runs every heartbeatIntervalMs and its
+    // round-trip is the latency. A thrown error or timeout is a miss: after
+    // heartbeatMaxMisses misses on an open socket the connection is half-open
+    // and is dropped and reconnected. An HTTP error status (404, 500, ...)
+    // proves the bridge is reachable but not healthy: "degraded", no drop.
+    // A quiet WebSocket is never a reason to drop it.
+    // Event:
+    //   "status" { state, text, connected, latencyMs, device, transport,
+    //              simulator, misses, pending }
+    //   state: "connecting" | "online" | "degraded" | "offline"
+
+    getStatus() {
+      return this._status ? { ...this._status } : this._computeStatus();
+    }
+
+    getLatency() {
+      return this._latencyMs;
+    }
+
+    _startHeartbeat() {
+      this._stopHeartbeat();
+      if (!(this._config.heartbeatIntervalMs > 0)) return;
+      this._heartbeatTimer = setTimeout(() => this._heartbeat(), 0);
+    }
+
+    _stopHeartbeat() {
+      this._heartbeatToken++;
+      if (this._heartbeatTimer) {
+        clearTimeout(this._heartbeatTimer);
+        this._heartbeatTimer = null;
+      }
+    }
+
+    async _heartbeat() {
+      this._heartbeatTimer = null;
+      const transport = this._transport;
+      if (!transport.isOpen()) return;
+
+      const token = this._heartbeatToken;
+      const started = this._now();
+      let timer = null;
+      let alive = false;
+      let status = null;
+
+      try {
+        // Not through _request(): heartbeats stay out of "http" events and recordings
+        const res = await Promise.race([
+          transport.request("GET", "/ping", null),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error("ping timeout")), this._config.heartbeatTimeoutMs);
+          })
+        ]);
+        alive = !!res && res.status > 0;
+        if (alive && !res.ok) status = res.status;
+      } catch (err) {
+        this._logDebug("Heartbeat failed", err && err.message);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (token !== this._heartbeatToken || transport !== this._transport) return;
+
+      if (alive) {
+        this._heartbeatMisses = 0;
+        this._pingStatus = status;
+        this._latencyMs = Math.round(this._now() - started);
+      } else {
+        this._heartbeatMisses++;
       }
-      this._handlers.get(eventName).add(handler);
-      return () => this.off(eventName, handler);
+
+      if (!alive && !transport.simulated && transport.isOpen() &&
+          this._heartbeatMisses >= this._config.heartbeatMaxMisses) {
+        this._logDebug("Heartbeat: no answer, dropping half-open connection");
+        transport.dispose();
+        this._onTransportClose(transport, { code: 4000, reason: "heartbeat timeout" });
+        return;
+      }
+
+      this._updateStatus();
+      this._heartbeatTimer = setTimeout(() => this._heartbeat(), this._config.heartbeatIntervalMs);
     }
 
-    off(eventName, handler) {
-      const set = this._handlers.get(eventName);
-      if (!set) return;
-      set.delete(handler);
-      if (set.size === 0) {
-        this._handlers.delete(eventName);
+    _computeStatus() {
+      const transport = this._transport;
+      const open = transport.isOpen();
+      const latency = this._latencyMs;
+      const device = this._device ? (this._device.name || this._device.id) : null;
+      let state;
+      let text;
+
+      if (open) {
+        const slow = latency != null && latency > this._config.degradedLatencyMs;
+        if (this._heartbeatMisses > 0) {
+          state = "degraded";
+          text = "No answer from BrailleBridge (" + this._heartbeatMisses + "/" + this._config.heartbeatMaxMisses + ")";
+        } else if (this._pingStatus != null) {
+          state = "degraded";
+          text = "BrailleBridge /ping answered " + this._pingStatus;
+        } else if (this._linkDown) {
+          state = "degraded";
+          text = "BrailleBridge is not accepting output";
+        } else if (slow) {
+          state = "degraded";
+          text = "Slow connection (" + latency + " ms)";
+        } else {
+          state = "online";
+          text = (device || "BrailleBridge") + (latency != null ? " · " + latency + " ms" : "");
+        }
+      } else if (this._wantConnected && !this._linkDown &&
+                 (transport.isConnecting() || this._reconnectTimer || !this._hasConnected)) {
+        state = "connecting";
+        text = "Connecting to BrailleBridge…";
+      } else {
+        state = "offline";
+        text = "BrailleBridge offline" + (this._queue.length ? " · " + this._queue.length + " pending" : "");
       }
+
+      return {
+        state,
+        text,
+        connected: open,
+        latencyMs: latency,
+        device,
+        transport: transport.name,
+        simulator: !!transport.simulated,
+        misses: this._heartbeatMisses,
+        pending: this._queue.length
+      };
     }
 
-    emit(eventName, payload) {
-      const set = this._handlers.get(eventName);
-      if (!set) return;
-      for (const fn of set) {
-        try {
-          fn(payload);
-        } catch (err) {
-          console.error("BrailleBridge handler error for", eventName, err);
+    _updateStatus() {
+      const next = this._computeStatus();
+      const prev = this._status;
+      if (prev && prev.state === next.state && prev.text === next.text) return;
+
+      this._status = next;
+      this._logDebug("status", next.state, next.text);
+      this.emit("status", { ...next, previous: prev ? prev.state : null });
+    }
+
+    // ----- BRAILLE KEYBOARD -------------------------------------------------
+    // Dot keys and the space bar form a chord while held; the chord is
+    // committed when the last key is released (devices that send no releases,
+    // i.e. no IsPress field, commit every event on its own). Held keys are
+    // tracked by name as well as by mask, because some devices send releases
+    // with DotsMask 0. Dot-key events are consumed here: no "unknown" for them.
+    // Events:
+    //   "braillechar" { dots, mask, unicode, space, unitId }  dot chord (space=true: with space bar)
+    //   "braillekey"  { key, dots, mask, space, unitId }      Space / Backspace / Enter chord
+
+    /**
+     * Returns true when the key event was a dot key or the space bar.
+     */
+    _onChordKeyEvent(evt, isPress) {
+      const chord = this._chord;
+      const isRelease = isPress === false;
+      // A release without DotsMask still names the key that was pressed
+      const heldMask = evt.nameLower ? (chord.keys.get(evt.nameLower) || 0) : 0;
+      const isSpace = isSpaceKeyName(evt.nameLower);
+      const isDot = !isSpace &&
+        (evt.dotsMask > 0 || (isRelease && heldMask > 0)) &&
+        evt.kindRaw !== 1 && evt.kindRaw !== 2 &&
+        !/thumb|routing|cursor/.test(evt.nameLower);
+      if (!isSpace && !isDot) return false;
+
+      const dotsMask = (evt.dotsMask & 0xff) || heldMask;
+      chord.unitId = evt.unitId;
+
+      if (!isRelease) {
+        if (isDot) {
+          chord.down |= dotsMask;
+          chord.mask |= dotsMask;
+          if (evt.nameLower) chord.keys.set(evt.nameLower, dotsMask);
         }
+        if (isSpace) { chord.spaceDown = true; chord.space = true; }
+      } else {
+        if (isDot) {
+          chord.down &= ~(dotsMask | heldMask);
+          chord.keys.delete(evt.nameLower);
+        }
+        if (isSpace) chord.spaceDown = false;
+      }
+
+      // No IsPress at all: every event is a complete chord
+      const complete = isPress === undefined || (!chord.down && !chord.spaceDown);
+      if (complete) {
+        this._commitChord();
+        return true;
       }
+
+      clearTimeout(chord.timer);
+      chord.timer = setTimeout(() => {
+        this._logDebug("chord dropped (no release)", chord.mask);
+        this._resetChord();
+      }, this._config.chordTimeoutMs);
+      return true;
     }
-  }
 
-  // ---------------------------------------------------------------------------
-  // BRIDGE CLASS
-  // ---------------------------------------------------------------------------
-  class Bridge extends Emitter {
-    constructor(config = {}) {
-      super();
-      this._config = { ...DEFAULT_CONFIG, ...config };
+    _commitChord() {
+      const { mask, space, unitId } = this._chord;
+      this._resetChord();
+      if (!mask && !space) return;
 
-      this._ws = null;
-      this._manualClose = false;
-      this._reconnectTimer = null;
-      this._currentDelay = this._config.reconnectDelay;
+      const dots = maskToDots(mask);
+      const keyChord = findKeyChord(mask, space);
+      if (keyChord) {
+        this.emit("braillekey", { key: keyChord.key, dots, mask, space, unitId });
+        return;
+      }
+
+      this.emit("braillechar", {
+        dots,
+        mask,
+        unicode: String.fromCodePoint(0x2800 + mask),
+        space,
+        unitId
+      });
     }
 
-    // ----- CONFIG ------------------------------------------------------------
-    setConfig(partial) {
-      this._config = { ...this._config, ...partial };
+    _resetChord() {
+      const chord = this._chord;
+      clearTimeout(chord.timer);
+      chord.timer = null;
+      chord.down = 0;
+      chord.mask = 0;
+      chord.keys.clear();
+      chord.spaceDown = false;
+      chord.space = false;
     }
 
-    getConfig() {
-      return { ...this._config };
+    // ----- GESTURES ---------------------------------------------------------
+    // Thumb-key press/release tracking on top of "thumbkey". "thumbkey" fires
+    // at once on every press, except for the key that completes a combo: the
+    // first thumb of a combo has already been reported, the second only
+    // gives the "combo" gesture. Event:
+    //   "gesture" { gesture, key, keys, name, index, durationMs, unitId }
+    //   gesture: "press"        single tap (after the double-press window)
+    //            "longpress"    held for longPressMs (fires while held)
+    //            "doublepress"  two taps within doublePressMs
+    //            "combo"        two thumb keys held together, name "leftthumb+rightthumb"
+    //            "thumbrouting" routing key pressed while a thumb key is held (index)
+    // A key that took part in a longpress/combo/thumbrouting yields no tap.
+
+    _emitGesture(gesture, keys, extra = {}) {
+      const sorted = keys.slice().sort();
+      const evt = {
+        gesture,
+        key: keys[0],
+        keys: sorted,
+        name: sorted.join("+"),
+        index: null,
+        durationMs: null,
+        unitId: null,
+        ...extra
+      };
+      this._logDebug("gesture", evt.gesture, evt.name, evt);
+      this.emit("gesture", evt);
     }
 
-    // ----- LOGGING -----------------------------------------------------------
-    _logDebug(...args) {
-      if (this._config.debug) {
-        console.log("[BrailleBridge]", ...args);
+    _onThumbGesture(nameLower, isPress, unitId) {
+      if (!nameLower) return;
+
+      // No IsPress at all: the device only reports taps
+      if (isPress === undefined) {
+        this._onThumbDown(nameLower, unitId);
+        this._onThumbUp(nameLower, unitId);
+        return;
       }
+
+      if (isPress) this._onThumbDown(nameLower, unitId);
+      else this._onThumbUp(nameLower, unitId);
     }
 
-    // ----- HTTP HELPERS ------------------------------------------------------
-    async _post(path, body, contentType = "text/plain; charset=utf-8") {
-      const url = this._config.baseUrl + path;
-      this._logDebug("HTTP POST", url, "body=", body);
+    _onThumbDown(key, unitId) {
+      if (this._thumbs.has(key)) return; // auto-repeat
 
-      const res = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": contentType
-        },
-        body
-      });
+      const state = { downAt: this._now(), timer: null, longFired: false, combined: false };
 
-      const text = await res.text().catch(() => "");
-      this.emit("http", { path, ok: res.ok, status: res.status, body: text });
-      return { ok: res.ok, status: res.status, body: text };
+      for (const [other, otherState] of this._thumbs) {
+        if (otherState.combined || otherState.longFired) continue;
+        otherState.combined = true;
+        state.combined = true;
+        clearTimeout(otherState.timer);
+        this._emitGesture("combo", [other, key], { unitId });
+        break;
+      }
+
+      if (!state.combined) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          if (this._thumbs.get(key) !== state || state.combined) return;
+          state.longFired = true;
+          this._emitGesture("longpress", [key], { durationMs: this._config.longPressMs, unitId });
+        }, this._config.longPressMs);
+      }
+
+      this._thumbs.set(key, state);
     }
 
-    async _get(path) {
-      const url = this._config.baseUrl + path;
-      this._logDebug("HTTP GET", url);
+    _onThumbUp(key, unitId) {
+      const state = this._thumbs.get(key);
+      if (!state) return;
+      this._thumbs.delete(key);
+      clearTimeout(state.timer);
+      if (state.longFired || state.combined) return;
 
-      const res = await fetch(url, {
-        method: "GET"
-      });
+      const durationMs = Math.round(this._now() - state.downAt);
+      const last = this._lastTap;
+      if (last && last.key === key) {
+        clearTimeout(last.timer);
+        this._lastTap = null;
+        this._emitGesture("doublepress", [key], { durationMs, unitId });
+        return;
+      }
 
-      const text = await res.text().catch(() => "");
-      this.emit("http", { path, ok: res.ok, status: res.status, body: text });
-      return { ok: res.ok, status: res.status, body: text };
+      if (last) {
+        // A different key was tapped: the earlier tap is final
+        clearTimeout(last.timer);
+        this._lastTap = null;
+        last.fire();
+      }
+
+      const fire = () => this._emitGesture("press", [key], { durationMs, unitId });
+      this._lastTap = {
+        key,
+        fire,
+        timer: setTimeout(() => {
+          this._lastTap = null;
+          fire();
+        }, this._config.doublePressMs)
+      };
     }
 
-    // ----- PUBLIC HTTP API ---------------------------------------------------
     /**
-     * Send text to the braille display.
-     * Options:
-     *   - pad (bool)       : pad or cut to displayCells (default true)
-     *   - cells (number)   : override displayCells for this call
+     * "thumbkey" right away, unless this press completed a combo.
      */
-    async sendText(text, options = {}) {
-      const {
-        pad = true,
-        cells = this._config.displayCells
-      } = options;
+    _emitThumbKey(evt) {
+      const state = this._config.gestures ? this._thumbs.get(evt.nameLower) : null;
+      if (state && state.combined) {
+        this._logDebug("thumbkey suppressed (combo)", evt.nameLower);
+        return;
+      }
+      this.emit("thumbkey", evt);
+    }
 
-      let line = String(text || "");
-      if (pad) {
-        line = line.padEnd(cells, " ").substring(0, cells);
+    /**
+     * Routing key pressed: report "thumbrouting" for every thumb key held.
+     */
+    _onRoutingGesture(index, unitId) {
+      for (const [key, state] of this._thumbs) {
+        state.combined = true;
+        clearTimeout(state.timer);
+        this._emitGesture("thumbrouting", [key], { index, unitId });
       }
+    }
 
-      this._logDebug("sendText:", { line });
-      return this._post("/braille", line);
+    _resetGestures() {
+      for (const state of this._thumbs.values()) clearTimeout(state.timer);
+      this._thumbs.clear();
+      if (this._lastTap) clearTimeout(this._lastTap.timer);
+      this._lastTap = null;
     }
 
+    // ----- ROUTING STRIPS ----------------------------------------------------
     /**
-     * Alias for sendText()
+     * Role and text row for a routing strip (config.routingStrips).
+     * Entries with a unitId only match that unit. Unknown strips are
+     * reported as role "strip<N>" so they never act as "cursor".
      */
-    async sendToBraille(text, options = {}) {
-      return this.sendText(text, options);
+    _routingLayout(strip, unitId) {
+      const entries = Array.isArray(this._config.routingStrips) ? this._config.routingStrips : [];
+      const match =
+        entries.find(e => e.strip === strip && e.unitId != null && e.unitId === unitId) ||
+        entries.find(e => e.strip === strip && e.unitId == null);
+
+      if (!match) return { role: "strip" + strip, row: null };
+      return { role: match.role || "primary", row: match.row ?? null };
     }
 
-	/**
-	 * Clear the braille display.
-	 */
-	async clearDisplay() {
-	  this._logDebug("clearDisplay()");
-	  try {
-		// 👇 use GET instead of POST
-		const result = await this._get("/clear");
-		return result;
-	  } catch (err) {
-		this.emit("error", { type: "http", error: err });
-		throw err;
-	  }
-	}
+    // ----- CONTRACT DIAGNOSTICS ----------------------------------------------
+    // Every parsed inbound message is checked against
+    // CONTRACT_SCHEMAS[contractVersion]. Messages are still handled as before;
+    // violations are reported, not fatal. Event:
+    //   "contractviolation" { version, message, violations, raw, totals }
+    //   violation: { kind: "missing-field" | "wrong-type" | "unknown-kind"
+    //                      | "unknown-message", field, expected, actual, count }
+    // count = how often this message.field violation has been seen since the
+    // last resetContractStats(); listeners that log can report count === 1 only.
 
-    async ping() {
-      // optional: if you implement /ping in your bridge
-      return this._get("/ping");
+    getContractStats() {
+      const st = this._contractStats;
+      return {
+        version: this._config.contractVersion,
+        messages: st.messages,
+        valid: st.valid,
+        invalid: st.invalid,
+        violations: st.violations,
+        byMessage: { ...st.byMessage },
+        byKind: { ...st.byKind },
+        byField: { ...st.byField }
+      };
     }
 
-    // ----- WEBSOCKET HANDLING ------------------------------------------------
-    connect() {
-      if (this._ws && (this._ws.readyState === WebSocket.OPEN || this._ws.readyState === WebSocket.CONNECTING)) {
-        this._logDebug("WebSocket already open/connecting");
+    resetContractStats() {
+      this._contractStats = {
+        messages: 0,
+        valid: 0,
+        invalid: 0,
+        violations: 0,
+        byMessage: {},              // message name → count received
+        byKind: {},                 // violation kind → count
+        byField: {}                 // "message.field" → count
+      };
+    }
+
+    _validateContract(msg) {
+      const version = this._config.contractVersion;
+      const schemas = CONTRACT_SCHEMAS[version];
+      const st = this._contractStats;
+      const name = contractMessageName(msg);
+      const violations = [];
+
+      if (!schemas) {
+        violations.push({ kind: "unknown-message", field: null, expected: "contract version " + version, actual: null });
+      } else if (!name || !schemas[name]) {
+        violations.push({
+          kind: "unknown-message",
+          field: null,
+          expected: Object.keys(schemas).join("|"),
+          actual: msg.Type ?? msg.type ?? msg.Kind ?? msg.kind ?? null
+        });
+      } else {
+        validateFields(schemas[name], msg, "", violations);
+      }
+
+      const label = name || "unknown";
+      st.messages++;
+      st.byMessage[label] = (st.byMessage[label] || 0) + 1;
+
+      if (!violations.length) {
+        st.valid++;
         return;
       }
 
-      this._manualClose = false;
-      const wsUrl = this._config.wsUrl;
-      this._logDebug("Connecting WebSocket:", wsUrl);
+      st.invalid++;
+      st.violations += violations.length;
+      for (const v of violations) {
+        st.byKind[v.kind] = (st.byKind[v.kind] || 0) + 1;
+        const key = label + (v.field ? "." + v.field : "");
+        st.byField[key] = (st.byField[key] || 0) + 1;
+        v.count = st.byField[key];
+      }
 
-      try {
-        const ws = new WebSocket(wsUrl);
-        this._ws = ws;
+      this._logDebug("contract violation", label, violations);
+      this.emit("contractviolation", {
+        version,
+        message: name,
+        violations,
+        raw: msg,
+        totals: { messages: st.messages, invalid: st.invalid, violations: st.violations }
+      });
+    }
 
-        ws.onopen = () => {
-          this._logDebug("WebSocket OPEN");
-          this._currentDelay = this._config.reconnectDelay;
-          this.emit("connected", { wsUrl });
-        };
+    // ----- RECORD / REPLAY ---------------------------------------------------
+    // A recording is a list of entries, exported as JSONL (one JSON per line):
+    //   { type: "session", version: 1, startedAt, displayCells, transport }
+    //   { t, dir: "in",  channel: "ws",   data }                  inbound message
+    //   { t, dir: "out", channel: "ws",   data }                  outbound WS intent
+    //   { t, dir: "out", channel: "http", method, path, body }    outbound HTTP intent
+    //   { t, dir: "in",  channel: "http", method, path, status, ok, body }
+    // t = ms since the recording started.
 
-        ws.onclose = (evt) => {
-          this._logDebug("WebSocket CLOSE", evt.code, evt.reason);
-          this.emit("disconnected", { code: evt.code, reason: evt.reason });
+    startRecording() {
+      this._recordStart = this._now();
+      this._recording = [{
+        type: "session",
+        version: 1,
+        startedAt: new Date().toISOString(),
+        displayCells: this._config.displayCells,
+        transport: this._transport.name
+      }];
+      this.emit("recording", { recording: true, entries: 0 });
+    }
 
-          this._ws = null;
+    stopRecording() {
+      if (!this._recording) return [];
+      const entries = this._recording;
+      this._recording = null;
+      this._lastRecording = entries;
+      this.emit("recording", { recording: false, entries: entries.length - 1 });
+      return entries.slice();
+    }
 
-          // Auto reconnect if not manual close
-          if (!this._manualClose && this._config.autoReconnect) {
-            this._scheduleReconnect();
-          }
-        };
+    isRecording() {
+      return !!this._recording;
+    }
 
-        ws.onerror = (err) => {
-          this._logDebug("WebSocket ERROR", err);
-          this.emit("error", { type: "ws", error: err });
-        };
+    /**
+     * Current (or last stopped) recording as an array of entries.
+     */
+    getRecording() {
+      return (this._recording || this._lastRecording || []).slice();
+    }
 
-        ws.onmessage = (evt) => {
-          this._handleWsMessage(evt.data);
-        };
-      } catch (err) {
-        this._logDebug("WebSocket connect error", err);
-        this.emit("error", { type: "ws", error: err });
-        // maybe schedule reconnect
-        if (this._config.autoReconnect) {
-          this._scheduleReconnect();
+    exportRecording() {
+      return this.getRecording().map(e => JSON.stringify(e)).join("\n") + "\n";
+    }
+
+    downloadRecording(filename = "braillebridge-session.jsonl") {
+      const blob = new Blob([this.exportRecording()], { type: "application/x-ndjson" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    _record(entry) {
+      if (!this._recording || this._replaying) return;
+      this._recording.push({ t: Math.round(this._now() - this._recordStart), ...entry });
+
+      // header + recordLimit entries
+      const overflow = this._recording.length - 1 - this._config.recordLimit;
+      if (overflow > 0) this._recording.splice(1, overflow);
+    }
+
+    /**
+     * Parse a JSONL string (or pass through an array) into entries.
+     */
+    static parseRecording(recording) {
+      if (Array.isArray(recording)) return recording.slice();
+      return String(recording || "")
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Feed the inbound WS messages of a recording through _handleWsMessage.
+     * Options:
+     *   - speed (number) : 1 = original timing, 4 = four times faster,
+     *                      0 = as fast as possible (default 1)
+     *
+     * Emits "replay" { state: "started"|"progress"|"done"|"stopped", index, total }.
+     * Resolves to { delivered, total, stopped }.
+     */
+    async replay(recording, options = {}) {
+      const { speed = 1 } = options;
+      const entries = Bridge.parseRecording(recording)
+        .filter(e => e && e.dir === "in" && e.channel === "ws" && e.data != null);
+
+      this.stopReplay();
+      const token = ++this._replayToken;
+      this._replaying = true;
+
+      const total = entries.length;
+      let delivered = 0;
+      let prevT = entries.length ? (entries[0].t || 0) : 0;
+
+      this._logDebug("replay start", { total, speed });
+      this.emit("replay", { state: "started", index: 0, total });
+
+      try {
+        for (const entry of entries) {
+          const gap = Math.max(0, (entry.t || 0) - prevT);
+          prevT = entry.t || 0;
+
+          if (speed > 0 && gap > 0) {
+            await new Promise(r => setTimeout(r, gap / speed));
+          }
+          if (token !== this._replayToken) break;
+
+          this._handleWsMessage(typeof entry.data === "string" ? entry.data : JSON.stringify(entry.data));
+          delivered++;
+          this.emit("replay", { state: "progress", index: delivered, total });
         }
+      } finally {
+        if (token === this._replayToken) this._replaying = false;
       }
+
+      const stopped = token !== this._replayToken;
+      this.emit("replay", { state: stopped ? "stopped" : "done", index: delivered, total });
+      return { delivered, total, stopped };
     }
 
-    _scheduleReconnect() {
-      if (this._reconnectTimer) return;
+    stopReplay() {
+      if (!this._replaying) return;
+      this._replayToken++;
+      this._replaying = false;
+    }
 
-      const delay = this._currentDelay;
-      this._logDebug("Scheduling reconnect in", delay, "ms");
+    isReplaying() {
+      return this._replaying;
+    }
 
-      this._reconnectTimer = setTimeout(() => {
-        this._reconnectTimer = null;
-        this._currentDelay = Math.min(
-          this._currentDelay * 2,
-          this._config.maxReconnectDelay
-        );
-        this.connect();
-      }, delay);
+    // ----- COMMAND / RESPONSE -----------------------------------------------
+    /**
+     * Wait for the next server message of a given type.
+     *   type      : message Type, case-insensitive (e.g. "brailleLine")
+     * Options:
+     *   - timeoutMs (number) : reject after this delay (default commandTimeoutMs)
+     *   - requestId (string) : only match messages carrying this request id
+     *   - match (fn)         : extra predicate (msg) => boolean
+     *
+     * Resolves to { type, message, requestId, latencyMs }.
+     * Rejects with an Error whose .code is "timeout" or "disconnected".
+     */
+    waitForMessage(type, options = {}) {
+      const {
+        timeoutMs = this._config.commandTimeoutMs,
+        requestId = null,
+        match = null
+      } = options;
+
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          type: String(type || "").toLowerCase(),
+          requestId: requestId != null ? String(requestId) : null,
+          match: typeof match === "function" ? match : null,
+          startedAt: this._now(),
+          resolve,
+          reject,
+          timer: null
+        };
+
+        waiter.timer = setTimeout(() => {
+          this._pending.delete(waiter);
+          const err = new Error("Timed out waiting for " + (type || "message") + " after " + timeoutMs + " ms");
+          err.code = "timeout";
+          reject(err);
+        }, timeoutMs);
+
+        this._pending.add(waiter);
+      });
     }
 
-    disconnect() {
-      this._manualClose = true;
-      if (this._reconnectTimer) {
-        clearTimeout(this._reconnectTimer);
-        this._reconnectTimer = null;
+    /**
+     * Send a WebSocket command and wait for the matching server message.
+     * Options:
+     *   - waitFor (string|null) : message Type to wait for (default "brailleLine");
+     *                             null resolves right after sending
+     *   - timeoutMs (number)    : default commandTimeoutMs
+     *   - match (fn)            : extra predicate (msg) => boolean
+     *
+     * If the payload has a requestId (or id), only a reply carrying the same
+     * RequestId/requestId/id is accepted; otherwise the next message of type
+     * `waitFor` is taken as the reply.
+     *
+     * Resolves to { type, message, requestId, latencyMs } and emits "command".
+     */
+    async command(payload, options = {}) {
+      const {
+        waitFor = "brailleLine",
+        timeoutMs = this._config.commandTimeoutMs,
+        match = null
+      } = options;
+
+      if (!this.isConnected()) {
+        const err = new Error("BrailleBridge WebSocket is not connected");
+        err.code = "disconnected";
+        this.emit("command", { payload, waitFor, ok: false, error: err.code, latencyMs: null });
+        throw err;
       }
-      if (this._ws) {
-        this._logDebug("Manual WS close");
-        this._ws.close();
+
+      const requestId = (payload && typeof payload === "object")
+        ? (payload.requestId ?? payload.id ?? null)
+        : null;
+
+      if (!waitFor) {
+        this.sendWs(payload);
+        const result = { type: null, message: null, requestId, latencyMs: 0 };
+        this.emit("command", { payload, waitFor, ok: true, latencyMs: 0 });
+        return result;
+      }
+
+      // Register before sending so a fast reply cannot slip through
+      const reply = this.waitForMessage(waitFor, { timeoutMs, requestId, match });
+      this.sendWs(payload);
+
+      try {
+        const result = await reply;
+        this._logDebug("command reply", waitFor, result.latencyMs.toFixed(1), "ms");
+        this.emit("command", { payload, waitFor, ok: true, latencyMs: result.latencyMs });
+        return result;
+      } catch (err) {
+        this.emit("command", { payload, waitFor, ok: false, error: err.code || String(err), latencyMs: null });
+        throw err;
       }
     }
 
-    isConnected() {
-      return !!this._ws && this._ws.readyState === WebSocket.OPEN;
+    _settlePending(msgType, msg) {
+      if (this._pending.size === 0) return;
+
+      const msgRequestId = msg.RequestId ?? msg.requestId ?? msg.id ?? null;
+
+      for (const waiter of Array.from(this._pending)) {
+        if (waiter.type && waiter.type !== msgType) continue;
+        if (waiter.requestId !== null && String(msgRequestId) !== waiter.requestId) continue;
+        if (waiter.match) {
+          let ok = false;
+          try { ok = waiter.match(msg); } catch { ok = false; }
+          if (!ok) continue;
+        }
+
+        this._pending.delete(waiter);
+        clearTimeout(waiter.timer);
+        waiter.resolve({
+          type: msgType,
+          message: msg,
+          requestId: msgRequestId,
+          latencyMs: this._now() - waiter.startedAt
+        });
+      }
     }
 
-    sendWs(data) {
-      if (!this.isConnected()) {
-        this._logDebug("sendWs: not connected");
-        return;
+    _rejectAllPending(code, reason) {
+      if (this._pending.size === 0) return;
+      for (const waiter of Array.from(this._pending)) {
+        this._pending.delete(waiter);
+        clearTimeout(waiter.timer);
+        const err = new Error(reason);
+        err.code = code;
+        waiter.reject(err);
       }
-      const payload = typeof data === "string" ? data : JSON.stringify(data);
-      this._logDebug("sendWs:", payload);
-      this._ws.send(payload);
     }
 
     // ----- MESSAGE NORMALIZATION --------------------------------------------
     _handleWsMessage(rawData) {
       this._logDebug("WS message:", rawData);
+      this._record({ dir: "in", channel: "ws", data: rawData });
       this.emit("raw", rawData);
 
       let msg;
@@ -280,6 +2417,12 @@
         this.emit("error", { type: "parse", error: e, raw: rawData });
         return;
       }
+      if (!msg || typeof msg !== "object") {
+        this.emit("error", { type: "parse", error: new Error("message is not an object"), raw: rawData });
+        return;
+      }
+
+      if (this._config.validateContract) this._validateContract(msg);
 
       // Normalize some common shapes from your bridge
       // Example variants seen:
@@ -304,35 +2447,115 @@
       // Braille line (SSoC) message
       const msgTypeRaw = msg.type ?? msg.Type ?? "";
       const msgType = String(msgTypeRaw).toLowerCase();
+
+      // Resolve command()/waitForMessage() waiters before listeners run
+      this._settlePending(msgType, msg);
       if (msgType === "brailleline") {
+        const table = msg?.Braille?.Table ?? msg?.braille?.table ?? null;
         const evt = {
           ...normalBase,
           type: "brailleLine",
           sourceText: msg.SourceText ?? msg.sourceText ?? "",
-          brailleUnicode: msg?.Braille?.UnicodeText ?? msg?.braille?.unicodeText ?? ""
+          brailleUnicode: msg?.Braille?.UnicodeText ?? msg?.braille?.unicodeText ?? "",
+          table
         };
+        if (table) this._setTable(table, "brailleline");
+        const echo = this._matchOutputEcho(evt.sourceText);
+        evt.seq = echo ? echo.seq : null;
+        evt.latencyMs = echo ? echo.latencyMs : null;
         this.emit("brailleline", evt);
         return;
       }
 
+      // Cursor context (routing key pressed or editor caret moved)
+      if (msgType === "cursorcontext") {
+        const cursor = msg.Cursor ?? msg.cursor ?? {};
+        const braille = msg.Braille ?? msg.braille ?? {};
+        const evt = {
+          ...normalBase,
+          type: "cursorContext",
+          ok: (msg.Ok ?? msg.ok) !== false,
+          timestamp: msg.TimestampUtc ?? msg.timestampUtc ?? null,
+          sourceText: msg.SourceText ?? msg.sourceText ?? "",
+          table: msg.Table ?? msg.table ?? null,
+          cellIndex: cursor.CellIndex ?? cursor.cellIndex ?? null,
+          textIndex: cursor.TextIndex ?? cursor.textIndex ?? null,
+          character: cursor.Character ?? cursor.character ?? "",
+          codePoint: cursor.CharacterCodePoint ?? cursor.characterCodePoint ?? "",
+          word: cursor.Word ?? cursor.word ?? "",
+          cellChar: braille.CellChar ?? braille.cellChar ?? "",
+          cellCodePoint: braille.CellCodePoint ?? braille.cellCodePoint ?? "",
+          isCapitalSign: Boolean(braille.IsCapitalSign ?? braille.isCapitalSign)
+        };
+        this.emit("cursorcontext", evt);
+        return;
+      }
+
+      // Key event (diagnostic): every physical key press/release.
+      // Identified by MsgType; still falls through to cursor/thumb handling below.
+      let chordKey = false;
+      const msgTypeNum = msg.MsgType ?? msg.msgType;
+      if (msgType === "keyevent" || typeof msgTypeNum === "number") {
+        const name = msg.Name ?? msg.name ?? "";
+        const dotsMask = msg.DotsMask ?? msg.dotsMask;
+        const keyEvt = {
+          ...normalBase,
+          type: "keyEvent",
+          msgType: typeof msgTypeNum === "number" ? msgTypeNum : null,
+          unitId: msg.UnitId ?? msg.unitId ?? null,
+          strip: msg.Strip ?? msg.strip ?? null,
+          buttonIndex: msg.ButtonIndex ?? msg.buttonIndex ?? null,
+          rawParam: msg.RawParam ?? msg.rawParam ?? null,
+          name,
+          nameLower: String(name).toLowerCase(),
+          dotsMask: typeof dotsMask === "number" ? dotsMask : 0,
+          unicodeCell: msg.UnicodeCell ?? msg.unicodeCell ?? ""
+        };
+        this.emit("keyevent", keyEvt);
+
+        if (this._config.brailleKeyboard) {
+          chordKey = this._onChordKeyEvent(keyEvt, isPress);
+        }
+      }
+
+      const isRouting =
+        kind === "cursorroutingstrip" ||
+        kind === "cursorrouting" ||
+        (typeof msg.Kind === "number" && msg.Kind === 1);
+      const isThumb =
+        kind === "thumbkey" ||
+        kind === "thumb" ||
+        (typeof msg.Kind === "number" && msg.Kind === 2);
+
+      if (isThumb && this._config.gestures) {
+        const thumbName = msg.name ?? msg.Name ?? msg.buttonName ?? "";
+        this._onThumbGesture(String(thumbName).toLowerCase(), isPress, msg.UnitId ?? msg.unitId ?? null);
+      }
+
       if (!press) {
         // Only react on key down by default
         return;
       }
 
       // Cursor routing
-      if (
-        kind === "cursorroutingstrip" ||
-        kind === "cursorrouting" ||
-        (typeof msg.Kind === "number" && msg.Kind === 1)
-      ) {
-        const idx = msg.cursorIndex ?? msg.CursorIndex ?? msg.index ?? msg.btn;
+      if (isRouting) {
+        const idx = msg.cursorIndex ?? msg.CursorIndex ?? msg.index ?? msg.btn ?? msg.ButtonIndex ?? msg.buttonIndex;
         if (typeof idx === "number") {
+          const unitId = msg.UnitId ?? msg.unitId ?? null;
+          const strip = msg.Strip ?? msg.strip ?? 0;
+          const layout = this._routingLayout(strip, unitId);
+
+          if (this._config.gestures) this._onRoutingGesture(idx, unitId);
           const evt = {
             ...normalBase,
-            index: idx
+            index: idx,
+            strip,
+            unitId,
+            role: layout.role,
+            row: layout.row
           };
-          this.emit("cursor", evt);
+          this.emit("routing", evt);
+          if (layout.role === "primary") this.emit("cursor", evt);
           return;
         } else {
           this.emit("error", {
@@ -345,21 +2568,20 @@
       }
 
       // Thumbkey / space bar cluster
-      if (
-        kind === "thumbkey" ||
-        kind === "thumb" ||
-        (typeof msg.Kind === "number" && msg.Kind === 2)
-      ) {
+      if (isThumb) {
         const name = msg.name ?? msg.Name ?? msg.buttonName ?? "";
         const evt = {
           ...normalBase,
           name,
           nameLower: String(name).toLowerCase()
         };
-        this.emit("thumbkey", evt);
+        this._emitThumbKey(evt);
         return;
       }
 
+      // Dot keys / space bar were handled as a chord above
+      if (chordKey) return;
+
       // Other / unknown kinds
       this.emit("unknown", normalBase);
     }
@@ -374,9 +2596,15 @@
   // Expose:
   //   window.BrailleBridge      → default instance
   //   window.createBrailleBridge(config) → factory for extra instances
+  //   window.BrailleBridgeTransports   → transport classes for createBrailleBridge({ transport })
   global.BrailleBridge = defaultBridge;
   global.createBrailleBridge = function (config) {
     return new Bridge(config);
   };
+  global.BrailleBridgeTransports = {
+    WebSocketTransport,
+    LoopbackTransport,
+    BroadcastChannelTransport
+  };
 
 })(window);
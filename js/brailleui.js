@@ -8,21 +8,50 @@
  *        getCurrentLine()
  *        getCharAt(index)
  *        getWordAt(index)
+ *        setLine(text, meta)   (activity line: one line, empty clears; meta.reason)
  *        setText(...)
  *        setTokens([...])
  *        repeatLine()
  *        clear()
  *  - Page (multi-line) helpers:
  *        setPageLines([...])
- *        setPageText(text, options?)
+ *        setPageText(text, options?)   (options.hyphenate: "nl" → hyphenation.js)
  *        nextLine(), prevLine(), gotoLine(idx), getPageInfo()
+ *  - Document navigation (page mode with structure, e.g. a story):
+ *        setDocument(text, { id, hyphenate, resume }),
+ *        nextParagraph(), prevParagraph(), nextSentence(), prevSentence(),
+ *        find(query), findNext(), findPrev(),
+ *        addBookmark(name), gotoBookmark(name), removeBookmark(name), getBookmarks(),
+ *        whereAmI()   (bookmarks + last position stored per document id)
+ *  - Multi-row displays (options.rows > 1):
+ *        setRows([...]), getRow(row), getRows()
+ *  - Horizontal panning of lines longer than the display (options.pan):
+ *        panLeft(), panRight(), panTo(offset), getPanInfo(), cellToTextIndex(cell)
+ *        (getCharAt/getWordAt and cursor events use the absolute text position)
+ *  - Cell ↔ text mapping (js/braille/cellmap.js): capital / number signs take
+ *    extra cells, routing keys are mapped back to the character they belong to
+ *        cellToTextIndex(cell), textIndexToCell(index)
  *  - Expose events based on cursor routing:
  *        "lineChanged", "cursor", "cursorChar", "cursorWord"
- *        (now all include lineIndex + column)
+ *        (now all include lineIndex + column + row)
+ *        "routing" for every routing strip (role: primary/secondary/status)
+ *  - Overlay with dots 7/8 (8-dot tables only, ignored in 6-dot mode):
+ *        setCursor(index, { blink }), setSelection(start, end), setMarked([...]),
+ *        clearOverlay(), getOverlay(), supportsEightDots()  → "overlay" event
+ *  - Named line regions (e.g. status in the last 4 cells):
+ *        setRegions([{ name: "content" }, { name: "status", cells: 4 }]),
+ *        setRegion(name, text), getRegion(name), getRegions(), clearRegions()
+ *        (routing events report region + regionIndex)
+ *  - Screen stack / temporary messages:
+ *        pushScreen(), popScreen(), flash(text, { ms, priority }), cancelFlash()
+ *        (BrailleScreenStack is exported for other line owners)
+ *  - More displays (classroom): addDisplay(id, ui); setLine / clear / flash /
+ *    pushScreen / popScreen / cancelFlash with meta.display go to that display
  *  - Optional: attach a "monitor" DOM element that always mirrors the line
  *
  * Dependencies:
  *  - braillebridge.js must be loaded first (global.BrailleBridge)
+ *  - optional: js/braille/cellmap.js + a locale module (js/braille/nl.js)
  */
 
 (function (global) {
@@ -66,15 +95,139 @@
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // SCREEN STACK
+  // ---------------------------------------------------------------------------
+  // Saves and restores "screens" of a line owner and shows temporary messages:
+  //   capture()        → snapshot of what is on the line now
+  //   restore(screen)  → put a snapshot back (may return a Promise)
+  //   show(text)       → put a message on the line (may return a Promise)
+  // flash() resolves true when its message ran its full time, false when it
+  // was replaced (equal or higher priority), cancelled or interrupted by new
+  // content; only then is the line NOT restored by that flash.
+  class ScreenStack {
+    constructor({ capture, restore, show }) {
+      this._capture = capture;
+      this._restore = restore;
+      this._show = show;
+      this._stack = [];
+      this._flash = null;     // { base, priority, timer, resolve }
+      this._busy = false;     // our own show/restore is rendering
+    }
+
+    _run(fn, arg) {
+      this._busy = true;
+      try {
+        return Promise.resolve(fn(arg)).catch(() => {});
+      } finally {
+        this._busy = false;
+      }
+    }
+
+    push() {
+      this._stack.push(this._capture());
+      return this._stack.length;
+    }
+
+    async pop() {
+      if (!this._stack.length) return false;
+      this._endFlash(false);
+      await this._run(this._restore, this._stack.pop());
+      return true;
+    }
+
+    depth() {
+      return this._stack.length;
+    }
+
+    isFlashing() {
+      return Boolean(this._flash);
+    }
+
+    flash(text, options = {}) {
+      const ms = typeof options.ms === "number" && options.ms >= 0 ? options.ms : 300;
+      const priority = typeof options.priority === "number" ? options.priority : 0;
+
+      if (this._flash && priority < this._flash.priority) return Promise.resolve(false);
+
+      // A replaced flash restores nothing: the new one returns to the same base
+      const base = this._flash ? this._flash.base : this._capture();
+      this._endFlash(false);
+
+      const flash = { base, priority, timer: null, resolve: null };
+      const done = new Promise((resolve) => { flash.resolve = resolve; });
+      this._flash = flash;
+      this._run(this._show, String(text ?? ""));
+
+      flash.timer = setTimeout(() => {
+        if (this._flash !== flash) return;
+        this._flash = null;
+        this._run(this._restore, flash.base).then(() => flash.resolve(true));
+      }, ms);
+
+      return done;
+    }
+
+    /**
+     * End the active flash now (activity stopped). options.restore puts the
+     * line from before the flash back (default true).
+     */
+    cancel(options = {}) {
+      const flash = this._flash;
+      if (!flash) return Promise.resolve(false);
+      this._endFlash(false);
+      if (options.restore === false) return Promise.resolve(true);
+      return this._run(this._restore, flash.base).then(() => true);
+    }
+
+    /**
+     * New content from the owner: drop the active flash without restoring.
+     */
+    interrupt() {
+      if (this._busy || !this._flash) return;
+      this._endFlash(false);
+    }
+
+    _endFlash(completed) {
+      const flash = this._flash;
+      if (!flash) return;
+      this._flash = null;
+      clearTimeout(flash.timer);
+      flash.resolve(completed);
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // BRAILLE UI CORE
   // ---------------------------------------------------------------------------
   const DEFAULT_OPTIONS = {
     displayCells: 40,           // must match device / BrailleBridge config
+    rows: 1,                    // text rows on the display (two-row displays: 2)
     padToCells: true,           // pad with spaces to displayCells
     wordSeparators: /\s+/,      // used for fallback word detection
     bridge: null,               // BrailleBridge instance (default: global.BrailleBridge)
     autoAttachCursor: true,     // automatically listen to BrailleBridge "cursor"
+    followDeviceCells: true,    // follow BrailleBridge "displaycells" (14/40/80 cells)
+    pan: true,                  // pan long lines instead of truncating them
+    panBy: "word",              // "word" (window starts at a word) or "display" (full width)
+    panKeys: null,              // e.g. { left: "leftthumb:longpress", right: "rightthumb" } ("key[:gesture]")
+    moreIndicators: true,       // last cell(s) show there is more text (right / left)
+    moreRight: ">",             // indicator: more text to the right
+    moreLeft: "<",              // indicator: more text to the left only
+    panOnIndicator: true,       // routing key on the indicator cell pans
+    hyphenate: false,           // setPageText: hyphenate words that do not fit (true | "nl")
+    hyphenChar: "-",            // appended to a hyphenated fragment
+    locale: "nl",               // translation used for the cell ↔ text map
+    eightDots: "auto",          // overlay output: "auto" (from the active table) | true | false
+    overlayDots: {              // dots added by the overlay
+      cursor: [7, 8],
+      selection: [7, 8],
+      marked: [8]
+    },
+    cursorBlinkMs: 500,         // blink interval for setCursor(index, { blink: true })
+    id: null,                   // display id (meta.display of line calls)
+    storage: null,              // bookmark storage (default: localStorage)
+    storageKey: "brailleui.documents", // storage key for bookmarks / last positions
     debug: false                // BrailleUI internal debug logging
   };
 
@@ -89,19 +242,67 @@
         throw new Error("BrailleUI: No BrailleBridge instance found. Load braillebridge.js first.");
       }
 
+      // Without an explicit displayCells, start from the bridge's (device) value
+      if (options.displayCells == null && typeof this._bridge.getConfig === "function") {
+        const cells = this._bridge.getConfig().displayCells;
+        if (typeof cells === "number" && cells > 0) this._options.displayCells = cells;
+      }
+
       // Internal state
-      this._line = "";              // full padded line (length = displayCells)
+      this._line = "";              // visible padded line (length = displayCells), row 0
+      this._text = "";              // full row 0 text (may be longer than the display)
+      this._panOffset = 0;          // text position shown in cell 0
+      this._panLen = null;          // characters in the pan window (null: not panned)
+      this._indicatorCell = null;   // first cell of the "more" indicator
+      this._cellMap = null;         // BrailleCellMap of the visible line (row 0)
+      this._serverCells = null;     // server translation (brailleLine) of the visible line
+      this._extraRows = [];         // rows 1..rows-1 (multi-row displays)
       this._indexToToken = {};      // index → token (if setTokens used)
       this._monitorEl = null;       // DOM element for visual monitor
 
       // Page state
       this._pageLines = null;       // array of strings (padded)
       this._currentLineIdx = 0;     // index into _pageLines
+      this._pageMaps = null;        // per page line: index → whole word (hyphenated fragments)
+      this._doc = null;             // document structure on top of the page (setDocument)
+
+      // Overlay state (text positions of row 0)
+      this._overlay = { cursor: null, blink: false, selection: null, marked: [] };
+      this._overlaySent = false;    // last line sent carried the overlay
+      this._blinkOn = true;
+      this._blinkTimer = null;
+
+      // Line regions (row 0): [{ name, cells, text }] and their placement
+      this._regions = null;
+      this._regionLayout = null;    // [{ name, start, length, textStart, textEnd }]
+
+      this._lineReason = null;      // meta.reason of the setLine / clear being applied
+      this._displays = new Map();   // display id → BrailleUI (addDisplay)
+
+      // Screen stack (pushScreen / popScreen / flash)
+      this._screens = new ScreenStack({
+        capture: () => this._captureScreen(),
+        restore: (screen) => this._restoreScreen(screen),
+        show: (text) => this._showFlash(text)
+      });
 
       this._cursorSubscription = null;
+      this._routingSubscription = null;
+      this._cellsSubscription = null;
+      this._panSubscription = null;
+      this._lineSubscription = null;
+      this._tableSubscription = null;
 
       if (this._options.autoAttachCursor) {
         this._attachToBridgeCursor();
+        this._attachToBridgeRouting();
+        this._attachToBridgeLine();
+      }
+      if (this._options.followDeviceCells) {
+        this._attachToBridgeCells();
+      }
+      if (this._options.panKeys) {
+        this._attachToBridgePanKeys();
       }
     }
 
@@ -124,23 +325,14 @@
       if (this._cursorSubscription) return; // already attached
 
       this._cursorSubscription = this._bridge.on("cursor", (evt) => {
-        const idx = evt.index;
-        const char = this.getCharAt(idx);
-        const wordInfo = this.getWordAt(idx, { withBounds: true });
-
-        const lineIndex = this._pageLines ? this._currentLineIdx : 0;
-        const column = idx;
+        if (this._options.panOnIndicator && this._isIndicatorCell(evt.index)) {
+          this._panFromIndicator();
+          return;
+        }
 
-        const basePayload = {
-          index: idx,        // backwards compatible
-          column,
-          lineIndex,
-          char: char,
-          word: wordInfo ? wordInfo.word : null,
-          start: wordInfo ? wordInfo.start : null,
-          end: wordInfo ? wordInfo.end : null,
-          raw: evt
-        };
+        const basePayload = this._routingPayload(evt);
+        const { index: idx, column, lineIndex, row, char } = basePayload;
+        const wordInfo = basePayload.word != null ? basePayload : null;
 
         // Generic cursor event
         this.emit("cursor", basePayload);
@@ -150,6 +342,7 @@
           index: idx,
           column,
           lineIndex,
+          row,
           char: char,
           raw: evt
         });
@@ -159,6 +352,7 @@
             index: idx,
             column,
             lineIndex,
+            row,
             word: wordInfo.word,
             start: wordInfo.start,
             end: wordInfo.end,
@@ -168,18 +362,129 @@
       });
     }
 
+    /**
+     * Routing keys of every strip → "routing" (primary strip also → "cursor").
+     */
+    _attachToBridgeRouting() {
+      if (!this._bridge || !this._bridge.on) return;
+      if (this._routingSubscription) return;
+
+      this._routingSubscription = this._bridge.on("routing", (evt) => {
+        this.emit("routing", this._routingPayload(evt));
+      });
+    }
+
+    _routingPayload(evt) {
+      const cell = evt.index;
+      // Routing strips without a text row (status cells) refer to row 0
+      const row = typeof evt.row === "number" ? evt.row : 0;
+      // Row 0 may be panned: report the absolute text position
+      const idx = row === 0 ? this.cellToTextIndex(cell) : cell;
+      const char = this.getCharAt(idx, row);
+      const wordInfo = this.getWordAt(idx, { withBounds: true, row });
+
+      const region = row === 0 ? this._regionAtCell(cell) : null;
+
+      return {
+        index: idx,        // absolute text position (null on the "more" indicator)
+        column: cell,      // cell on the display
+        region: region ? region.name : null,
+        regionIndex: region && idx != null ? idx - region.textStart : null,
+        panOffset: row === 0 ? this._panOffset : 0,
+        lineIndex: this._pageLines ? this._currentLineIdx : 0,
+        row,
+        role: evt.role || "primary",
+        strip: evt.strip ?? 0,
+        char: char,
+        word: wordInfo ? wordInfo.word : null,
+        start: wordInfo ? wordInfo.start : null,
+        end: wordInfo ? wordInfo.end : null,
+        raw: evt
+      };
+    }
+
+    /**
+     * The server's brailleLine is the real translation: use it for the
+     * cell ↔ text map when it is the line we sent.
+     */
+    _attachToBridgeLine() {
+      if (!this._bridge || !this._bridge.on) return;
+      if (this._lineSubscription) return;
+
+      this._lineSubscription = this._bridge.on("brailleline", (evt) => {
+        if (!evt || !evt.brailleUnicode) return;
+        if (String(evt.sourceText ?? "").trimEnd() !== this._line.trimEnd()) return;
+
+        this._serverCells = Array.from(String(evt.brailleUnicode));
+        const CM = global.BrailleCellMap;
+        if (CM) this._cellMap = CM.fromUnicode(this._line, evt.brailleUnicode, { locale: this._options.locale });
+
+        // The overlay is composited onto the server's translation
+        if (this._hasOverlay() && !this._overlaySent) this._renderOverlay().catch(() => {});
+      });
+
+      // Another table: the old translation (and 8-dot support) no longer holds
+      this._tableSubscription = this._bridge.on("tablechanged", () => {
+        this._serverCells = null;
+        if (this._overlaySent && this._line && !this._extraRows.length) this._sendLine().catch(() => {});
+      });
+    }
+
+    _attachToBridgeCells() {
+      if (!this._bridge || !this._bridge.on) return;
+      if (this._cellsSubscription) return;
+
+      this._cellsSubscription = this._bridge.on("displaycells", (evt) => {
+        const cells = evt && evt.cells;
+        if (typeof cells !== "number" || cells <= 0) return;
+        if (cells === this._options.displayCells) return;
+
+        this._logDebug("displayCells from device:", cells);
+        this.setOptions({ displayCells: cells });
+        this.repeatLine().catch(() => {});
+      });
+    }
+
+    /**
+     * Pan keys from thumb-key gestures: options.panKeys { left, right },
+     * each "key" (press) or "key:gesture", e.g. "rightthumb:longpress".
+     */
+    _attachToBridgePanKeys() {
+      if (!this._bridge || !this._bridge.on) return;
+      if (this._panSubscription) return;
+
+      const parse = (spec) => {
+        if (!spec) return null;
+        const [key, gesture = "press"] = String(spec).toLowerCase().split(":");
+        return { key, gesture };
+      };
+
+      this._panSubscription = this._bridge.on("gesture", (evt) => {
+        const keys = this._options.panKeys || {};
+        const matches = (spec) => {
+          const k = parse(spec);
+          return Boolean(k && evt && evt.key === k.key && evt.gesture === k.gesture);
+        };
+
+        if (matches(keys.left)) this.panLeft().catch(() => {});
+        else if (matches(keys.right)) this.panRight().catch(() => {});
+      });
+    }
+
 _updateMonitor() {
   if (!this._monitorEl) return;
 
   // Laat de volledige interne braille-regel zien, 1:1 met de display.
   // Als er nog niets is, toon "(leeg)".
-  const visible = (this._line && this._line.length > 0) ? this._line : "(leeg)";
+  const rows = [this._line, ...this._extraRows].filter((r, i) => i === 0 || r.trim());
+  const visible = (this._line && this._line.length > 0) ? rows.join("\n") : "(leeg)";
 
   this._monitorEl.textContent = visible;
 }
 
     _buildLineFromTokens(tokens) {
-      const cells = this._options.displayCells;
+      // With panning all tokens fit; the window shows displayCells of them
+      const cells = this._options.pan ? Infinity : this._options.displayCells;
       let line = "";
       const map = {}; // cursorIndex → token
 
@@ -200,10 +505,12 @@ _updateMonitor() {
         }
       }
 
-      if (line.length < cells && this._options.padToCells) {
-        line = line.padEnd(cells, " ");
-      } else if (line.length > cells) {
-        line = line.substring(0, cells);
+      if (cells !== Infinity) {
+        if (line.length < cells && this._options.padToCells) {
+          line = line.padEnd(cells, " ");
+        } else if (line.length > cells) {
+          line = line.substring(0, cells);
+        }
       }
 
       return { line, map };
@@ -220,19 +527,159 @@ _updateMonitor() {
       return padded;
     }
 
-    _setLineInternal(line, indexToToken = null) {
-      this._line = this._normalizeLine(line);
+    _setLineInternal(line, indexToToken = null, extraRows = [], panOffset = 0) {
+      this._text = String(line || "").replace(/\s+$/, "");
+      this._panOffset = panOffset;
+      this._renderWindow();
       this._indexToToken = indexToToken || {};
+      this._extraRows = extraRows
+        .slice(0, Math.max(0, this._options.rows - 1))
+        .map(r => this._normalizeLine(r));
 
       this._logDebug("New line set:", this._line);
 
       this._updateMonitor();
       this.emit("lineChanged", {
         line: this._line,
-        lineIndex: this._pageLines ? this._currentLineIdx : 0
+        lineIndex: this._pageLines ? this._currentLineIdx : 0,
+        pan: this.getPanInfo(),
+        reason: this._lineReason
       });
     }
 
+    // -----------------------------------------------------------------------
+    // PANNING (row 0)
+    // -----------------------------------------------------------------------
+    _isPanned() {
+      if (this._regions) return false;
+      return this._panLen != null;
+    }
+
+    // Braille cells `text` takes, signs included (one per character without BrailleCellMap)
+    _cellCount(text) {
+      const t = String(text ?? "");
+      const CM = global.BrailleCellMap;
+      if (!CM) return t.length;
+      return CM.translate(t, { locale: this._options.locale }).textToCell[t.length];
+    }
+
+    // Cells for text in the window; the indicator takes the last cell(s)
+    _panWidth() {
+      const cells = this._options.displayCells;
+      if (!this._options.moreIndicators) return cells;
+      const indicator = Math.max(this._cellCount(this._options.moreRight), this._cellCount(this._options.moreLeft), 1);
+      return Math.max(1, cells - indicator);
+    }
+
+    // Characters from `offset` (forward) or before it (backward) that fit in
+    // `cells` braille cells; at least one
+    _charsInCells(offset, cells, backward = false) {
+      const text = this._text;
+      const room = backward ? offset : text.length - offset;
+      let len = Math.min(room, cells);
+      const slice = n => (backward ? text.substring(offset - n, offset) : text.substr(offset, n));
+      while (len > 1 && this._cellCount(slice(len)) > cells) len--;
+      return Math.max(Math.min(room, 1), len);
+    }
+
+    _renderWindow() {
+      this._renderWindowText();
+      this._serverCells = null;
+      const CM = global.BrailleCellMap;
+      this._cellMap = CM ? CM.translate(this._line, { locale: this._options.locale }) : null;
+    }
+
+    // The window is measured in braille cells: capital and number signs take
+    // cells of their own, so it holds fewer characters than displayCells
+    _renderWindowText() {
+      const cells = this._options.displayCells;
+      this._panLen = null;
+      this._indicatorCell = null;
+
+      if (this._regions || !this._options.pan || this._cellCount(this._text) <= cells) {
+        this._panOffset = 0;
+        this._line = this._normalizeLine(this._text);
+        return;
+      }
+
+      const width = this._panWidth();
+      const offset = Math.max(0, Math.min(this._panOffset, this._text.length - 1));
+      const len = this._charsInCells(offset, width);
+      this._panOffset = offset;
+      this._panLen = len;
+
+      let win = this._text.substr(offset, len);
+      let indicator = "";
+      if (this._options.moreIndicators) {
+        if (offset + len < this._text.length) indicator = this._options.moreRight;
+        else if (offset > 0) indicator = this._options.moreLeft;
+      }
+      const used = this._cellCount(win);
+      const tail = indicator ? cells - this._cellCount(indicator) : cells;
+      if (indicator || this._options.padToCells) win += " ".repeat(Math.max(0, tail - used));
+      if (indicator) this._indicatorCell = Math.max(used, tail);
+      this._line = win + indicator;
+    }
+
+    _isSep(ch) {
+      if (!ch) return true;
+      const sep = this._options.wordSeparators;
+      if (sep instanceof RegExp) return sep.test(ch);
+      return String(sep).indexOf(ch) !== -1;
+    }
+
+    // Display cell → position in the visible line (null outside the display)
+    _linePosOfCell(cell) {
+      if (typeof cell !== "number") return null;
+      if (cell < 0 || cell >= this._options.displayCells) return null;
+      if (!this._cellMap) return cell;
+      return global.BrailleCellMap.cellToText(this._cellMap, cell);
+    }
+
+    _isIndicatorCell(cell) {
+      return this._isPanned() &&
+        this._indicatorCell != null &&
+        typeof cell === "number" &&
+        cell >= this._indicatorCell &&
+        cell < this._options.displayCells;
+    }
+
+    _panFromIndicator() {
+      const info = this.getPanInfo();
+      const p = info.canPanRight ? this.panRight() : this.panTo(0);
+      p.catch(() => {});
+    }
+
+    _nextPanOffset(direction) {
+      const text = this._text;
+      const width = this._panWidth();
+      const offset = this._panOffset;
+      const byWord = this._options.panBy === "word";
+
+      if (direction > 0) {
+        let next = offset + this._panLen;
+        // Window ends inside a word: start the next window at that word
+        if (byWord && next < text.length && !this._isSep(text.charAt(next)) && !this._isSep(text.charAt(next - 1))) {
+          let start = next;
+          while (start > offset && !this._isSep(text.charAt(start - 1))) start--;
+          if (start > offset) next = start;
+        }
+        while (next < text.length && this._isSep(text.charAt(next))) next++;
+        return next < text.length ? next : offset;
+      }
+
+      const back = offset - this._charsInCells(offset, width, true);
+      let prev = back;
+      // Window starts inside a word: skip to the next word start
+      if (byWord && prev > 0 && !this._isSep(text.charAt(prev - 1))) {
+        let start = prev;
+        while (start < offset && !this._isSep(text.charAt(start))) start++;
+        while (start < offset && this._isSep(text.charAt(start))) start++;
+        prev = start < offset ? start : back;
+      }
+      return prev;
+    }
+
     // Simple word-wrap for page text
     _wrapTextToLines(text, cells) {
       const words = String(text || "").split(/\s+/);
@@ -269,19 +716,118 @@ _updateMonitor() {
       return lines;
     }
 
+    // Word-wrap with hyphenation (hyphenation.js) for words that do not fit.
+    // Returns { lines, maps }: maps[i] maps the cells of a fragment to its whole word.
+    _wrapTextHyphenated(text, cells, locale) {
+      const hyphen = String(this._options.hyphenChar ?? "-");
+      const lines = [];
+      const maps = [];
+      let current = "";
+      let map = {};
+
+      const pushLine = () => {
+        lines.push(current);
+        maps.push(map);
+        current = "";
+        map = {};
+      };
+      const append = (fragment, word) => {
+        if (current.length > 0) current += " ";
+        if (word) {
+          for (let i = 0; i < fragment.length; i++) map[current.length + i] = word;
+        }
+        current += fragment;
+      };
+
+      for (const w of String(text || "").split(/\s+/)) {
+        if (!w) continue;
+        let rest = w;
+        let fragmented = false;
+
+        while (rest) {
+          const room = cells - current.length - (current.length > 0 ? 1 : 0);
+          const word = fragmented ? this._wordCore(w) : null;
+
+          if (rest.length <= room) {
+            append(rest, word);
+            break;
+          }
+
+          const split = this._splitWord(rest, room, locale, hyphen);
+          if (split) {
+            append(split.head, this._wordCore(w));
+            pushLine();
+            rest = split.tail;
+            fragmented = true;
+          } else if (current.length > 0) {
+            pushLine();
+          } else {
+            // No hyphenation point fits on an empty line: hard cut
+            append(rest.substring(0, cells), this._wordCore(w));
+            pushLine();
+            rest = rest.substring(cells);
+            fragmented = true;
+          }
+        }
+      }
+      if (current.length > 0) pushLine();
+
+      return { lines, maps };
+    }
+
+    // "appelboom," → "appelboom" (the word routing resolves to)
+    _wordCore(word) {
+      const m = /^[^\p{L}\p{N}]*(.*?)[^\p{L}\p{N}]*$/u.exec(word);
+      return m && m[1] ? m[1] : word;
+    }
+
+    // Longest head (+ hyphen) that fits in `room`: { head, tail } or null.
+    // Existing hyphens in compounds ("noord-holland") are break points too.
+    _splitWord(word, room, locale, hyphen) {
+      const H = global.Hyphenation;
+      const m = /^([^\p{L}]*)(.*?)([^\p{L}]*)$/u.exec(word);
+      const [, lead, core, trail] = m || ["", "", word, ""];
+
+      const breaks = []; // { at, add } in core
+      let offset = 0;
+      for (const part of core.split("-")) {
+        if (H && typeof H.positions === "function") {
+          for (const pos of H.positions(part, { locale })) breaks.push({ at: offset + pos, add: hyphen });
+        }
+        offset += part.length + 1;
+        if (offset < core.length) breaks.push({ at: offset, add: "" });
+      }
+
+      let best = null;
+      for (const b of breaks) {
+        const head = lead + core.slice(0, b.at) + b.add;
+        if (head.length <= room && (!best || b.at > best.at)) best = { at: b.at, head };
+      }
+      if (!best) return null;
+      return { head: best.head, tail: core.slice(best.at) + trail };
+    }
+
     // -----------------------------------------------------------------------
     // PUBLIC API – INITIALISATION / CONFIG
     // -----------------------------------------------------------------------
     setOptions(partial) {
       this._options = { ...this._options, ...partial };
       if (typeof partial.displayCells === "number") {
-        // Re-apply padding with new cell count
-        this._setLineInternal(this._line, this._indexToToken);
-
-        // Re-normalise page lines if any
-        if (this._pageLines) {
+        // Re-apply padding / pan window / regions with new cell count
+        if (this._regions) this._setLineInternal(this._composeRegions(), null, this._extraRows);
+        else this._setLineInternal(this._text, this._indexToToken, this._extraRows, this._panOffset);
+
+        // Documents wrap again at the new width, at the same text position
+        if (this._doc) {
+          this._relayoutDocument().catch(() => {});
+        } else if (this._pageLines) {
+          // Re-normalise page lines if any
           this._pageLines = this._pageLines.map(line => this._normalizeLine(line));
         }
+      } else if (!this._regions && ["pan", "moreIndicators", "moreRight", "moreLeft", "locale"].some(k => k in partial)) {
+        // The pan window is measured in cells of the current table and indicators
+        this._renderWindow();
+        this._updateMonitor();
       }
     }
 
@@ -306,12 +852,38 @@ _updateMonitor() {
     // PUBLIC API – SEND LINE TO BRAILLE (ONLY PLACE THAT DOES THIS)
     // -----------------------------------------------------------------------
 
+    /**
+     * Activity line (the runner API): whitespace is collapsed to one line and
+     * an empty text clears the display. Otherwise the same as setText().
+     * meta.reason is reported in "lineChanged"; meta.display sends the line
+     * to another display (addDisplay).
+     */
+    async setLine(text, meta = {}) {
+      const target = this._displayFor(meta);
+      if (target) return target.setLine(text, { ...meta, display: null });
+
+      const line = String(text ?? "").replace(/\s+/g, " ").trim();
+      if (!line) return this.clear(meta);
+
+      this._lineReason = (meta && meta.reason) || null;
+      try {
+        return this.setText(line);
+      } finally {
+        this._lineReason = null;
+      }
+    }
+
     /**
      * Single-line text mode: set plain text line.
+     * With regions set, this writes the flexible (content) region.
      * Clears any page state.
      */
     async setText(text) {
+      if (this._regions) return this.setRegion(this._contentRegion().name, text);
+
+      this._screens.interrupt();
       this._pageLines = null;
+      this._doc = null;
       this._currentLineIdx = 0;
 
       this._setLineInternal(text, null);
@@ -320,10 +892,7 @@ _updateMonitor() {
         throw new Error("BrailleUI.setText: BrailleBridge is not available or has no sendText()");
       }
 
-      return this._bridge.sendText(this._line, {
-        pad: false,           // already padded here
-        cells: this._options.displayCells
-      });
+      return this._sendLine();
     }
 
     /**
@@ -331,7 +900,9 @@ _updateMonitor() {
      * Clears any page state.
      */
     async setTokens(tokens) {
+      this._screens.interrupt();
       this._pageLines = null;
+      this._doc = null;
       this._currentLineIdx = 0;
 
       const arr = Array.isArray(tokens) ? tokens : [];
@@ -343,10 +914,7 @@ _updateMonitor() {
         throw new Error("BrailleUI.setTokens: BrailleBridge is not available or has no sendText()");
       }
 
-      return this._bridge.sendText(this._line, {
-        pad: false,
-        cells: this._options.displayCells
-      });
+      return this._sendLine();
     }
 
     /**
@@ -357,28 +925,595 @@ _updateMonitor() {
       if (!this._bridge || !this._bridge.sendText) {
         throw new Error("BrailleUI.repeatLine: BrailleBridge is not available or has no sendText()");
       }
-      return this._bridge.sendText(this._line, {
+      if (this._extraRows.length) return this._sendRows();
+      return this._sendLine();
+    }
+
+    // -----------------------------------------------------------------------
+    // PUBLIC API – MULTI-ROW DISPLAYS
+    // -----------------------------------------------------------------------
+
+    /**
+     * Set all text rows of a multi-row display (options.rows).
+     * Row 0 is the regular line; rows are sent as one buffer of
+     * rows × displayCells cells, row after row.
+     * Clears any page state.
+     */
+    async setRows(rows) {
+      const arr = Array.isArray(rows) ? rows.map(r => String(r ?? "")) : [];
+      this._screens.interrupt();
+      this._pageLines = null;
+      this._doc = null;
+      this._currentLineIdx = 0;
+
+      const extra = arr.slice(1);
+      while (extra.length < this._options.rows - 1) extra.push("");
+      this._setLineInternal(arr[0] || "", null, extra);
+
+      if (!this._bridge || !this._bridge.sendText) {
+        throw new Error("BrailleUI.setRows: BrailleBridge is not available or has no sendText()");
+      }
+      return this._sendRows();
+    }
+
+    getRow(row = 0) {
+      if (row === 0) return this._line;
+      return this._extraRows[row - 1] ?? null;
+    }
+
+    getRows() {
+      return [this._line, ...this._extraRows];
+    }
+
+    _sendRows() {
+      const cells = this._options.displayCells;
+      const buffer = this.getRows()
+        .map(r => String(r).padEnd(cells, " ").substring(0, cells))
+        .join("");
+      return this._bridge.sendText(buffer, {
         pad: false,
-        cells: this._options.displayCells
+        cells: cells * this._options.rows
       });
     }
 
     /**
      * Clear braille display + internal model + page state.
+     * meta as in setLine (reason, display).
      */
-    async clear() {
+    async clear(meta = {}) {
+      const target = this._displayFor(meta);
+      if (target) return target.clear({ ...meta, display: null });
+
+      this._screens.interrupt();
       this._line = "";
+      this._text = "";
+      this._panOffset = 0;
+      this._panLen = null;
+      this._indicatorCell = null;
+      this._cellMap = null;
+      this._serverCells = null;
+      this._overlay = { cursor: null, blink: false, selection: null, marked: [] };
+      this._overlaySent = false;
+      this._updateBlink();
+      if (this._regions) this._regions.forEach(r => { r.text = ""; });
+      this._extraRows = [];
       this._indexToToken = {};
       this._pageLines = null;
+      this._doc = null;
       this._currentLineIdx = 0;
       this._updateMonitor();
-      this.emit("lineChanged", { line: this._line, lineIndex: 0 });
+      this.emit("lineChanged", { line: this._line, lineIndex: 0, reason: (meta && meta.reason) || null });
 
       if (this._bridge && this._bridge.clearDisplay) {
         return this._bridge.clearDisplay();
       }
     }
 
+    // -----------------------------------------------------------------------
+    // PUBLIC API – HORIZONTAL PANNING
+    // -----------------------------------------------------------------------
+
+    /**
+     * Pan state of row 0:
+     *   { offset, width, length, panned, canPanLeft, canPanRight }
+     *   width: characters in the window (fewer than the cells when the
+     *   window has capital / number signs)
+     */
+    getPanInfo() {
+      const panned = this._isPanned();
+      const width = panned ? this._panLen : this._options.displayCells;
+      return {
+        offset: this._panOffset,
+        width,
+        length: this._text.length,
+        panned,
+        canPanLeft: panned && this._panOffset > 0,
+        canPanRight: panned && this._panOffset + width < this._text.length
+      };
+    }
+
+    /**
+     * Absolute text position of a display cell (row 0), null for the
+     * "more" indicator or cells outside the display.
+     */
+    cellToTextIndex(cell) {
+      const pos = this._linePosOfCell(cell);
+      if (pos == null) return null;
+      if (!this._isPanned()) return pos;
+      if (pos >= this._panLen) return null;
+      return this._panOffset + pos;
+    }
+
+    /**
+     * First display cell of text position `index` (row 0), null when the
+     * position is not in the visible window.
+     */
+    textIndexToCell(index) {
+      if (typeof index !== "number") return null;
+      const pos = this._isPanned() ? index - this._panOffset : index;
+      const max = this._isPanned() ? this._panLen : this._line.length;
+      if (pos < 0 || pos > max) return null;
+      if (!this._cellMap) return pos;
+      return global.BrailleCellMap.textToCell(this._cellMap, pos);
+    }
+
+    async panRight() {
+      if (!this.getPanInfo().canPanRight) return false;
+      return this.panTo(this._nextPanOffset(1));
+    }
+
+    async panLeft() {
+      if (!this.getPanInfo().canPanLeft) return false;
+      return this.panTo(this._nextPanOffset(-1));
+    }
+
+    /**
+     * Show row 0 from text position `offset` (cell 0) and re-send the line.
+     */
+    async panTo(offset) {
+      if (!this._isPanned() || typeof offset !== "number") return false;
+      const previous = this._panOffset;
+
+      this._panOffset = Math.max(0, Math.min(Math.floor(offset), this._text.length - 1));
+      this._renderWindow();
+      if (this._panOffset === previous) return false;
+
+      this._logDebug("pan ->", this._panOffset);
+      this._updateMonitor();
+      this.emit("pan", { ...this.getPanInfo(), previous });
+      await this.repeatLine();
+      return true;
+    }
+
+    // -----------------------------------------------------------------------
+    // PUBLIC API – LINE REGIONS
+    // -----------------------------------------------------------------------
+
+    /**
+     * Split row 0 into named regions, left to right:
+     *   setRegions([{ name: "content" }, { name: "status", cells: 4 }])
+     * A region with `cells` has a fixed width, regions without share the rest.
+     * Widths are braille cells: a capital sign in the content never pushes
+     * the status region off the display.
+     */
+    async setRegions(defs) {
+      const arr = Array.isArray(defs) ? defs.filter(d => d && d.name) : [];
+      const previous = this._regions || [];
+
+      this._regions = arr.length
+        ? arr.map((d) => {
+          const name = String(d.name);
+          const kept = previous.find(r => r.name === name);
+          return {
+            name,
+            cells: typeof d.cells === "number" ? Math.max(0, Math.floor(d.cells)) : null,
+            text: d.text != null ? String(d.text) : (kept ? kept.text : "")
+          };
+        })
+        : null;
+
+      if (!this._regions) {
+        this._regionLayout = null;
+        return;
+      }
+      return this._renderRegions();
+    }
+
+    /**
+     * Update one region and re-send the line.
+     */
+    async setRegion(name, text) {
+      const region = this._regions && this._regions.find(r => r.name === name);
+      if (!region) throw new Error("BrailleUI.setRegion: unknown region: " + name);
+
+      region.text = String(text ?? "");
+      return this._renderRegions();
+    }
+
+    /**
+     * { name, start, length, text } – start/length in cells.
+     */
+    getRegion(name) {
+      const slot = this._regionLayout && this._regionLayout.find(r => r.name === name);
+      const region = this._regions && this._regions.find(r => r.name === name);
+      if (!slot || !region) return null;
+      return { name, start: slot.start, length: slot.length, text: region.text };
+    }
+
+    getRegions() {
+      return this._regions ? this._regions.map(r => this.getRegion(r.name)) : [];
+    }
+
+    /**
+     * Back to a plain line (the current line stays until the next update).
+     */
+    clearRegions() {
+      this._regions = null;
+      this._regionLayout = null;
+    }
+
+    // Region written by setText(): the first one without a fixed width
+    _contentRegion() {
+      return this._regions.find(r => r.cells == null) || this._regions[0];
+    }
+
+    _layoutRegions() {
+      const total = this._options.displayCells;
+      const fixed = this._regions.reduce((n, r) => n + (r.cells ?? 0), 0);
+      const flexible = this._regions.filter(r => r.cells == null);
+      const share = flexible.length ? Math.floor(Math.max(0, total - fixed) / flexible.length) : 0;
+      const lastFlexible = flexible[flexible.length - 1];
+
+      let start = 0;
+      return this._regions.map((r) => {
+        let want = r.cells ?? share;
+        // Rounding leftovers go to the last flexible region
+        if (r === lastFlexible) want = Math.max(0, total - fixed - share * (flexible.length - 1));
+        const length = Math.max(0, Math.min(want, total - start));
+        const slot = { name: r.name, start, length };
+        start += length;
+        return slot;
+      });
+    }
+
+    // Text that takes exactly `cells` braille cells (cut or padded with spaces)
+    _fitToCells(text, cells) {
+      const t = String(text ?? "").replace(/\s+/g, " ");
+      const CM = global.BrailleCellMap;
+      if (!CM) return t.padEnd(cells, " ").substring(0, cells);
+
+      const map = CM.translate(t, { locale: this._options.locale });
+      let len = t.length;
+      while (len > 0 && map.textToCell[len] > cells) len--;
+      return t.substring(0, len) + " ".repeat(Math.max(0, cells - map.textToCell[len]));
+    }
+
+    _composeRegions() {
+      let line = "";
+      const layout = [];
+
+      for (const slot of this._layoutRegions()) {
+        const region = this._regions.find(r => r.name === slot.name);
+        const fitted = this._fitToCells(region.text, slot.length);
+        layout.push({ ...slot, textStart: line.length, textEnd: line.length + fitted.length });
+        line += fitted;
+      }
+
+      this._regionLayout = layout;
+      return line;
+    }
+
+    _regionAtCell(cell) {
+      if (!this._regionLayout || typeof cell !== "number") return null;
+      return this._regionLayout.find(r => cell >= r.start && cell < r.start + r.length) || null;
+    }
+
+    _renderRegions() {
+      this._screens.interrupt();
+      this._pageLines = null;
+      this._doc = null;
+      this._currentLineIdx = 0;
+      this._setLineInternal(this._composeRegions(), null);
+
+      if (!this._bridge || !this._bridge.sendText) {
+        throw new Error("BrailleUI.setRegion: BrailleBridge is not available or has no sendText()");
+      }
+      return this._sendLine();
+    }
+
+    // -----------------------------------------------------------------------
+    // PUBLIC API – MORE DISPLAYS
+    // -----------------------------------------------------------------------
+    // One BrailleUI per display; the main one knows the others by id so an
+    // activity only needs window.BrailleUI.setLine(text, { display: "display2" }).
+
+    addDisplay(id, ui) {
+      if (!id || !ui) throw new Error("BrailleUI.addDisplay: id and BrailleUI instance are required");
+      this._displays.set(String(id), ui);
+    }
+
+    removeDisplay(id) {
+      return this._displays.delete(String(id));
+    }
+
+    getDisplay(id) {
+      if (id == null || id === this._options.id) return this;
+      return this._displays.get(String(id)) || null;
+    }
+
+    getDisplayIds() {
+      return [this._options.id, ...this._displays.keys()].filter(id => id != null);
+    }
+
+    // Registered display addressed by meta.display (null: this display)
+    _displayFor(meta) {
+      const id = meta && meta.display;
+      if (id == null || id === this._options.id) return null;
+      const ui = this._displays.get(String(id));
+      if (!ui) throw new Error("BrailleUI: unknown display: " + id);
+      return ui;
+    }
+
+    // -----------------------------------------------------------------------
+    // PUBLIC API – SCREEN STACK / FLASH
+    // -----------------------------------------------------------------------
+
+    /**
+     * Save the current screen (line, page, regions, overlay). Returns the depth.
+     */
+    pushScreen(meta = {}) {
+      const target = this._displayFor(meta);
+      if (target) return target.pushScreen();
+      return this._screens.push();
+    }
+
+    /**
+     * Restore the last pushed screen and re-send it. false if none was pushed.
+     */
+    async popScreen(meta = {}) {
+      const target = this._displayFor(meta);
+      if (target) return target.popScreen();
+      return this._screens.pop();
+    }
+
+    /**
+     * Show `text` for options.ms (default 300) and restore the line after.
+     * options.priority: a lower priority flash does not replace a running one.
+     * Resolves true when completed, false when replaced / cancelled / when
+     * new content was set in the meantime (that content stays).
+     */
+    async flash(text, options = {}) {
+      const target = this._displayFor(options);
+      if (target) return target.flash(text, { ...options, display: null });
+      return this._screens.flash(text, options);
+    }
+
+    /**
+     * Stop a running flash now (e.g. the activity stops).
+     * options.restore: put the previous line back (default true).
+     */
+    async cancelFlash(options = {}) {
+      const target = this._displayFor(options);
+      if (target) return target.cancelFlash({ ...options, display: null });
+      return this._screens.cancel(options);
+    }
+
+    isFlashing() {
+      return this._screens.isFlashing();
+    }
+
+    _captureScreen() {
+      return {
+        text: this._text,
+        panOffset: this._panOffset,
+        indexToToken: { ...this._indexToToken },
+        extraRows: this._extraRows.slice(),
+        pageLines: this._pageLines ? this._pageLines.slice() : null,
+        pageMaps: this._pageMaps,
+        currentLineIdx: this._currentLineIdx,
+        doc: this._doc,
+        regions: this._regions ? this._regions.map(r => ({ ...r })) : null,
+        overlay: { ...this._overlay, marked: this._overlay.marked.slice() }
+      };
+    }
+
+    async _restoreScreen(screen) {
+      this._pageLines = screen.pageLines;
+      this._pageMaps = screen.pageMaps;
+      this._currentLineIdx = screen.currentLineIdx;
+      this._doc = screen.doc;
+      this._regions = screen.regions;
+      if (!this._regions) this._regionLayout = null;
+      this._overlay = screen.overlay;
+      this._overlaySent = false;
+
+      if (this._regions) this._setLineInternal(this._composeRegions(), null, screen.extraRows);
+      else this._setLineInternal(screen.text, screen.indexToToken, screen.extraRows, screen.panOffset);
+      this._updateBlink();
+
+      if (!this._bridge) return;
+      if (!this._line.trim() && !this._extraRows.length) {
+        if (this._bridge.clearDisplay) return this._bridge.clearDisplay();
+        return;
+      }
+      return this.repeatLine();
+    }
+
+    // A flash covers the whole line; regions and overlay come back on restore
+    _showFlash(text) {
+      this._pageLines = null;
+      this._doc = null;
+      this._regions = null;
+      this._regionLayout = null;
+      this._overlay = { cursor: null, blink: false, selection: null, marked: [] };
+      this._updateBlink();
+      this._setLineInternal(text, null);
+      if (!this._bridge || !this._bridge.sendText) return;
+      return this._sendLine();
+    }
+
+    // -----------------------------------------------------------------------
+    // PUBLIC API – OVERLAY (DOTS 7/8)
+    // -----------------------------------------------------------------------
+    // Cursor, selection and marked cells are drawn by adding dots 7/8 to the
+    // server's translation of the line and sending those braille cells.
+    // Only 8-dot tables can show them; in 6-dot mode the overlay is kept
+    // (getOverlay) but the line is sent unchanged.
+
+    /**
+     * Does the active table produce 8-dot output? (options.eightDots)
+     */
+    supportsEightDots() {
+      const opt = this._options.eightDots;
+      if (opt === true || opt === false) return opt;
+
+      const table = this._bridge && typeof this._bridge.getTable === "function" ? this._bridge.getTable() : null;
+      if (!table) return false;
+
+      const tables = typeof this._bridge.getTables === "function" ? this._bridge.getTables() : [];
+      const info = tables.find(t => t && t.FileName === table);
+      const dots = info && info.Metadata && info.Metadata.dots;
+      if (Array.isArray(dots)) return dots.map(String).includes("8");
+      return /comp8|8dot|8-dot/i.test(table);
+    }
+
+    /**
+     * Cursor on text position `index` (null removes it).
+     * options.blink: blink every options.cursorBlinkMs
+     */
+    async setCursor(index, options = {}) {
+      this._overlay.cursor = typeof index === "number" ? index : null;
+      this._overlay.blink = Boolean(options.blink) && this._overlay.cursor != null;
+      this._blinkOn = true;
+      return this._renderOverlay();
+    }
+
+    /**
+     * Underline text positions start..end (end exclusive); null removes it.
+     */
+    async setSelection(start, end) {
+      const valid = typeof start === "number" && typeof end === "number" && end > start;
+      this._overlay.selection = valid ? { start, end } : null;
+      return this._renderOverlay();
+    }
+
+    /**
+     * Mark separate text positions (e.g. letters already chosen).
+     */
+    async setMarked(indices) {
+      this._overlay.marked = Array.isArray(indices) ? indices.filter(i => typeof i === "number") : [];
+      return this._renderOverlay();
+    }
+
+    async clearOverlay() {
+      this._overlay = { cursor: null, blink: false, selection: null, marked: [] };
+      return this._renderOverlay();
+    }
+
+    /**
+     * { cursor, blink, selection, marked, supported, shown }
+     */
+    getOverlay() {
+      return {
+        cursor: this._overlay.cursor,
+        blink: this._overlay.blink,
+        selection: this._overlay.selection ? { ...this._overlay.selection } : null,
+        marked: this._overlay.marked.slice(),
+        supported: this.supportsEightDots(),
+        shown: this._overlaySent
+      };
+    }
+
+    _hasOverlay() {
+      const o = this._overlay;
+      return o.cursor != null || o.selection != null || o.marked.length > 0;
+    }
+
+    _dotsMask(dots) {
+      return (Array.isArray(dots) ? dots : []).reduce((mask, d) => {
+        const n = Number(d);
+        return n >= 1 && n <= 8 ? mask | (1 << (n - 1)) : mask;
+      }, 0);
+    }
+
+    // Cell → mask of overlay dots
+    _overlayMasks() {
+      const masks = new Map();
+      const dots = this._options.overlayDots || {};
+      const add = (index, mask) => {
+        if (!mask) return;
+        const first = this.textIndexToCell(index);
+        const next = this.textIndexToCell(index + 1);
+        if (first == null) return;
+        // A character can take several cells (capital / number sign)
+        const last = next != null && next > first ? next : first + 1;
+        for (let c = first; c < last; c++) masks.set(c, (masks.get(c) || 0) | mask);
+      };
+
+      const { cursor, blink, selection, marked } = this._overlay;
+      const markedMask = this._dotsMask(dots.marked);
+      for (const i of marked) add(i, markedMask);
+      if (selection) {
+        const selMask = this._dotsMask(dots.selection);
+        for (let i = selection.start; i < selection.end; i++) add(i, selMask);
+      }
+      if (cursor != null && (!blink || this._blinkOn)) add(cursor, this._dotsMask(dots.cursor));
+      return masks;
+    }
+
+    // Line with overlay as braille cells, or null when it cannot be shown
+    _composeOverlay() {
+      if (!this._hasOverlay() || !this._serverCells || this._extraRows.length) return null;
+      if (!this.supportsEightDots()) return null;
+
+      const cellsCount = this._options.displayCells;
+      const cells = this._serverCells.slice(0, cellsCount);
+      while (cells.length < cellsCount) cells.push("\u2800");
+
+      for (const [c, mask] of this._overlayMasks()) {
+        if (c < 0 || c >= cells.length) continue;
+        const code = cells[c].codePointAt(0);
+        if (code >= 0x2800 && code <= 0x28ff) cells[c] = String.fromCodePoint(code | mask);
+      }
+      return cells.join("");
+    }
+
+    // Send row 0, with the overlay when it can be shown
+    _sendLine() {
+      const composite = this._composeOverlay();
+      this._overlaySent = composite != null;
+      return this._bridge.sendText(composite != null ? composite : this._line, {
+        pad: false,
+        cells: this._options.displayCells
+      });
+    }
+
+    async _renderOverlay() {
+      this._updateBlink();
+      this.emit("overlay", this.getOverlay());
+
+      if (!this._line || !this._bridge || !this._bridge.sendText) return false;
+      // Without the server translation yet, the brailleLine echo renders it
+      if (!this._composeOverlay() && !this._overlaySent) return false;
+
+      await this._sendLine();
+      return this._overlaySent;
+    }
+
+    _updateBlink() {
+      const wanted = this._overlay.blink && this._overlay.cursor != null && this._options.cursorBlinkMs > 0;
+      if (wanted && !this._blinkTimer) {
+        this._blinkTimer = setInterval(() => {
+          this._blinkOn = !this._blinkOn;
+          if (this._composeOverlay() != null) this._sendLine().catch(() => {});
+        }, this._options.cursorBlinkMs);
+      } else if (!wanted && this._blinkTimer) {
+        clearInterval(this._blinkTimer);
+        this._blinkTimer = null;
+        this._blinkOn = true;
+      }
+    }
+
     // -----------------------------------------------------------------------
     // PUBLIC API – PAGE (MULTI-LINE) SUPPORT
     // -----------------------------------------------------------------------
@@ -389,36 +1524,51 @@ _updateMonitor() {
      * current line will be index 0.
      */
     async setPageLines(lines) {
+      return this._setPage(lines, null);
+    }
+
+    async _setPage(lines, maps) {
+      this._screens.interrupt();
+      this._doc = null;
       const arr = Array.isArray(lines) ? lines : [];
       const cells = this._options.displayCells;
 
       this._pageLines = arr.map(l => this._normalizeLine(l));
+      this._pageMaps = Array.isArray(maps) ? maps : null;
       this._currentLineIdx = 0;
 
       const first = this._pageLines[0] || "";
-      this._setLineInternal(first, null);
+      this._setLineInternal(first, this._pageMap(0));
 
       if (!this._bridge || !this._bridge.sendText) {
         throw new Error("BrailleUI.setPageLines: BrailleBridge is not available or has no sendText()");
       }
 
-      return this._bridge.sendText(this._line, {
-        pad: false,
-        cells
-      });
+      return this._sendLine();
+    }
+
+    _pageMap(index) {
+      return (this._pageMaps && this._pageMaps[index]) || null;
     }
 
     /**
      * Set a page from a long text string (word-wrapped).
      * options.wrap: "word" (default) or "char"
      * options.maxLines: optional limit on number of lines
+     * options.hyphenate: true | "nl" – hyphenate words that do not fit
+     *   (routing on a fragment resolves to the whole word)
      */
     async setPageText(text, options = {}) {
       const cells = this._options.displayCells;
-      const { wrap = "word", maxLines = null } = options;
+      const { wrap = "word", maxLines = null, hyphenate = this._options.hyphenate } = options;
 
       let lines;
-      if (wrap === "char") {
+      let maps = null;
+      if (wrap === "word" && hyphenate) {
+        const locale = hyphenate === true ? "nl" : String(hyphenate);
+        if (!global.Hyphenation) this._logDebug("hyphenation.js not loaded, only hard cuts");
+        ({ lines, maps } = this._wrapTextHyphenated(text, cells, locale));
+      } else if (wrap === "char") {
         const s = String(text || "");
         lines = [];
         for (let i = 0; i < s.length; i += cells) {
@@ -431,9 +1581,10 @@ _updateMonitor() {
 
       if (typeof maxLines === "number" && maxLines > 0) {
         lines = lines.slice(0, maxLines);
+        if (maps) maps = maps.slice(0, maxLines);
       }
 
-      return this.setPageLines(lines);
+      return this._setPage(lines, maps);
     }
 
     /**
@@ -462,20 +1613,20 @@ _updateMonitor() {
       const max = this._pageLines.length;
       if (index < 0 || index >= max) return false;
 
+      this._screens.interrupt();
+      if (this._doc) this._docClearMarks();
       this._currentLineIdx = index;
       const line = this._pageLines[index] || "";
-      this._setLineInternal(line, null);
+      this._setLineInternal(line, this._pageMap(index));
 
       if (!this._bridge || !this._bridge.sendText) {
         throw new Error("BrailleUI.gotoLine: BrailleBridge is not available or has no sendText()");
       }
 
-      await this._bridge.sendText(this._line, {
-        pad: false,
-        cells: this._options.displayCells
-      });
+      await this._sendLine();
 
       this._logDebug("gotoLine ->", index);
+      if (this._doc) this._docSave(); // reading position, resumed by setDocument
       return true;
     }
 
@@ -497,6 +1648,435 @@ _updateMonitor() {
       return this.gotoLine(prev);
     }
 
+    // -----------------------------------------------------------------------
+    // PUBLIC API – DOCUMENT NAVIGATION
+    // -----------------------------------------------------------------------
+    // A document is page mode with structure: paragraphs (blank lines),
+    // sentences, find and bookmarks. Positions are text offsets, so bookmarks
+    // still fit after the display width changed. Bookmarks and the last read
+    // position are stored per document id (options.storage / storageKey).
+    // Events:
+    //   "document"  { id, lines, paragraphs, sentences, resumed }
+    //   "paragraph" { paragraph, paragraphs, line }
+    //   "sentence"  { sentence, sentences, line, column }
+    //   "find"      { query, found, hit, hits, wrapped, line, column }
+    //   "bookmark"  { action: "add" | "goto" | "remove", name, offset, line }
+    //   "whereami"  { id, line, lines, paragraph, paragraphs, percent }
+    // line / paragraph / sentence / hit numbers in events are 0-based indexes.
+
+    /**
+     * Show a document in page mode.
+     * options.id: key for bookmarks and the last position (none: not stored)
+     * options.hyphenate: as in setPageText (default options.hyphenate)
+     * options.resume: continue at the last stored position (default true)
+     */
+    async setDocument(text, options = {}) {
+      const { id = null, hyphenate = this._options.hyphenate, resume = true } = options;
+      const source = String(text ?? "").replace(/\r\n?/g, "\n");
+
+      const stored = id != null ? this._docStored(id) : null;
+      const doc = {
+        id: id != null ? String(id) : null,
+        text: source,
+        hyphenate,
+        paragraphs: this._docParagraphs(source),
+        sentences: this._docSentences(source),
+        bookmarks: stored && stored.bookmarks ? { ...stored.bookmarks } : {},
+        find: null,                 // { query, hits: [offset], hit }
+        sentence: null,             // index of the last sentence jumped to
+        overlay: false              // cursor / selection set by a jump or hit
+      };
+
+      const offset = resume && stored && typeof stored.last === "number" ? stored.last : 0;
+      await this._layoutDocument(doc, offset);
+
+      this.emit("document", {
+        id: doc.id,
+        lines: this._pageLines.length,
+        paragraphs: doc.paragraphs.length,
+        sentences: doc.sentences.length,
+        resumed: offset > 0
+      });
+      return true;
+    }
+
+    isDocumentMode() {
+      return Boolean(this._doc && this._pageLines);
+    }
+
+    async nextParagraph() {
+      return this._gotoParagraph(this._docParagraphIndex() + 1);
+    }
+
+    async prevParagraph() {
+      if (!this.isDocumentMode()) return false;
+      // Inside a paragraph: back to its start first
+      const current = this._docParagraphIndex();
+      const para = this._doc.paragraphs[current];
+      return this._gotoParagraph(para && this._currentLineIdx > para.line ? current : current - 1);
+    }
+
+    // Sentences can share a line: the cursor (dots 7/8) shows where one starts
+    async nextSentence() {
+      if (!this.isDocumentMode()) return false;
+      return this._gotoSentence(this._docSentenceIndex() + 1);
+    }
+
+    async prevSentence() {
+      if (!this.isDocumentMode()) return false;
+      const doc = this._doc;
+      const current = this._docSentenceIndex();
+      // In the middle of a sentence: back to its start first
+      const atStart = doc.sentence === current || doc.sentences[current] === this._docOffset();
+      return this._gotoSentence(atStart ? current - 1 : current);
+    }
+
+    /**
+     * Find `query` (case-insensitive) from the current line on and show the
+     * line of the first hit; the hit is selected (dots 7/8 on 8-dot tables).
+     */
+    async find(query, options = {}) {
+      if (!this.isDocumentMode()) return false;
+      const q = String(query ?? "").trim().toLowerCase();
+      const doc = this._doc;
+      if (!q) {
+        doc.find = null;
+        return false;
+      }
+
+      const hits = [];
+      const haystack = doc.text.toLowerCase();
+      for (let at = haystack.indexOf(q); at !== -1; at = haystack.indexOf(q, at + 1)) hits.push(at);
+      doc.find = { query: q, hits, hit: -1 };
+
+      if (!hits.length) {
+        this.emit("find", { query: q, found: false, hit: null, hits: 0, wrapped: false, line: null, column: null });
+        return false;
+      }
+
+      const from = this._docLineStart(this._currentLineIdx);
+      const first = options.backwards
+        ? hits.reduce((found, at, i) => (at < from ? i : found), -1)
+        : hits.findIndex(at => at >= from);
+      if (first !== -1) return this._gotoHit(first, false);
+      return this._gotoHit(options.backwards ? hits.length - 1 : 0, true);
+    }
+
+    async findNext() {
+      const f = this.isDocumentMode() ? this._doc.find : null;
+      if (!f || !f.hits.length) return false;
+      const next = f.hit + 1;
+      return this._gotoHit(next < f.hits.length ? next : 0, next >= f.hits.length);
+    }
+
+    async findPrev() {
+      const f = this.isDocumentMode() ? this._doc.find : null;
+      if (!f || !f.hits.length) return false;
+      const prev = f.hit - 1;
+      return this._gotoHit(prev >= 0 ? prev : f.hits.length - 1, prev < 0);
+    }
+
+    /**
+     * Bookmark the current line (stored with the document id).
+     */
+    addBookmark(name) {
+      if (!this.isDocumentMode()) return false;
+      const key = String(name ?? "").trim();
+      if (!key) return false;
+
+      const offset = this._docOffset();
+      this._doc.bookmarks[key] = offset;
+      this._docSave();
+      this.emit("bookmark", { action: "add", name: key, offset, line: this._currentLineIdx });
+      return true;
+    }
+
+    async gotoBookmark(name) {
+      if (!this.isDocumentMode()) return false;
+      const key = String(name ?? "").trim();
+      const offset = this._doc.bookmarks[key];
+      if (typeof offset !== "number") return false;
+
+      const line = this._docLineOf(offset);
+      await this._docGoto(line);
+      this.emit("bookmark", { action: "goto", name: key, offset, line });
+      return true;
+    }
+
+    removeBookmark(name) {
+      if (!this.isDocumentMode()) return false;
+      const key = String(name ?? "").trim();
+      if (!(key in this._doc.bookmarks)) return false;
+
+      const offset = this._doc.bookmarks[key];
+      delete this._doc.bookmarks[key];
+      this._docSave();
+      this.emit("bookmark", { action: "remove", name: key, offset, line: this._docLineOf(offset) });
+      return true;
+    }
+
+    /**
+     * [{ name, offset, line }] in reading order.
+     */
+    getBookmarks() {
+      if (!this.isDocumentMode()) return [];
+      return Object.entries(this._doc.bookmarks)
+        .map(([name, offset]) => ({ name, offset, line: this._docLineOf(offset) }))
+        .sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Where the reader is: { id, line, lines, paragraph, paragraphs, percent }
+     * (line / paragraph 0-based; percent of the lines read).
+     */
+    whereAmI() {
+      if (!this.isDocumentMode()) return null;
+      const lines = this._pageLines.length;
+      const info = {
+        id: this._doc.id,
+        line: this._currentLineIdx,
+        lines,
+        paragraph: this._docParagraphIndex(),
+        paragraphs: this._doc.paragraphs.length,
+        percent: lines ? Math.round(((this._currentLineIdx + 1) / lines) * 100) : 0
+      };
+      this.emit("whereami", info);
+      return info;
+    }
+
+    // Wrap every paragraph into page lines and go to the line of `offset`
+    async _layoutDocument(doc, offset) {
+      const cells = this._options.displayCells;
+      const locale = doc.hyphenate === true ? "nl" : String(doc.hyphenate);
+      const lines = [];
+      const maps = [];
+      const starts = [];
+
+      for (const para of doc.paragraphs) {
+        const body = doc.text.slice(para.start, para.end);
+        const wrapped = doc.hyphenate
+          ? this._wrapTextHyphenated(body, cells, locale)
+          : { lines: this._wrapTextToLines(body, cells), maps: null };
+
+        para.line = lines.length;
+        starts.push(...this._docLineStarts(body, wrapped.lines, para.start));
+        wrapped.lines.forEach((l, i) => {
+          lines.push(l);
+          maps.push(wrapped.maps ? wrapped.maps[i] : null);
+        });
+      }
+
+      await this._setPage(lines, maps);
+      doc.lineStarts = starts;
+      this._doc = doc;
+
+      const line = this._docLineOf(offset);
+      if (line > 0) await this.gotoLine(line);
+      return line;
+    }
+
+    async _relayoutDocument() {
+      const doc = this._doc;
+      if (!doc || !this._pageLines) return false;
+      await this._layoutDocument(doc, this._docOffset());
+      return true;
+    }
+
+    // Paragraphs: text between blank lines → [{ start, end }]
+    _docParagraphs(text) {
+      const out = [];
+      const sep = /\n[ \t]*(?:\n[ \t]*)+/g;
+      const push = (start, end) => {
+        const body = text.slice(start, end);
+        const lead = body.length - body.trimStart().length;
+        if (body.trim()) out.push({ start: start + lead, end, line: 0 });
+      };
+
+      let from = 0;
+      let m;
+      while ((m = sep.exec(text))) {
+        push(from, m.index);
+        from = m.index + m[0].length;
+      }
+      push(from, text.length);
+      return out;
+    }
+
+    // Sentence starts (text offsets): paragraph starts and after . ! ? …
+    _docSentences(text) {
+      const starts = new Set(this._docParagraphs(text).map(p => p.start));
+      const end = /[.!?…]+["'”’)]*\s+(?=\S)/g;
+      let m;
+      while ((m = end.exec(text))) starts.add(m.index + m[0].length);
+      return Array.from(starts).sort((a, b) => a - b);
+    }
+
+    // Text offset of the first character of each wrapped line. Lines collapse
+    // whitespace and may end in an added hyphen, so walk the text alongside.
+    _docLineStarts(text, lines, base) {
+      const starts = [];
+      const isSpace = (ch) => /\s/.test(ch);
+      let pos = 0;
+
+      for (const line of lines) {
+        while (pos < text.length && isSpace(text[pos])) pos++;
+        starts.push(base + pos);
+
+        for (const ch of String(line).trimEnd()) {
+          if (isSpace(ch)) {
+            while (pos < text.length && isSpace(text[pos])) pos++;
+          } else if (text[pos] === ch) {
+            pos++;
+          }
+          // otherwise: hyphen added when the word was split
+        }
+      }
+      return starts;
+    }
+
+    _docLineStart(line) {
+      const starts = this._doc && this._doc.lineStarts;
+      return starts && starts[line] != null ? starts[line] : 0;
+    }
+
+    _docLineOf(offset) {
+      const starts = (this._doc && this._doc.lineStarts) || [];
+      let line = 0;
+      for (let i = 0; i < starts.length && starts[i] <= offset; i++) line = i;
+      return line;
+    }
+
+    _docOffset() {
+      return this._docLineStart(this._currentLineIdx);
+    }
+
+    // Column of a text offset in its page line (collapsed whitespace counted once)
+    _docColumn(offset) {
+      const line = this._docLineOf(offset);
+      const from = this._docLineStart(line);
+      const collapsed = this._doc.text.slice(from, offset).replace(/\s+/g, " ");
+      return Math.min(collapsed.length, this._options.displayCells - 1);
+    }
+
+    // Sentence the reader is in: the one last jumped to on this line, else
+    // the last one that starts at or before the line start (-1: none)
+    _docSentenceIndex() {
+      const doc = this._doc;
+      if (doc.sentence != null && this._docLineOf(doc.sentences[doc.sentence]) === this._currentLineIdx) {
+        return doc.sentence;
+      }
+      const from = this._docOffset();
+      return doc.sentences.reduce((found, at, i) => (at <= from ? i : found), -1);
+    }
+
+    _docParagraphIndex() {
+      if (!this._doc) return 0;
+      let index = 0;
+      this._doc.paragraphs.forEach((p, i) => { if (p.line <= this._currentLineIdx) index = i; });
+      return index;
+    }
+
+    // The cursor / selection of a sentence jump or find hit belong to the
+    // line they were set on
+    _docClearMarks() {
+      const doc = this._doc;
+      doc.sentence = null;
+      if (!doc.overlay) return;
+      doc.overlay = false;
+      this._overlay.cursor = null;
+      this._overlay.selection = null;
+      this._updateBlink();
+    }
+
+    async _docGoto(line) {
+      this._docClearMarks();
+      if (line === this._currentLineIdx) {
+        await this.repeatLine();
+        return true;
+      }
+      return this.gotoLine(line);
+    }
+
+    async _gotoParagraph(index) {
+      if (!this.isDocumentMode()) return false;
+      const para = this._doc.paragraphs[index];
+      if (!para) return false;
+
+      await this._docGoto(para.line);
+      this.emit("paragraph", { paragraph: index, paragraphs: this._doc.paragraphs.length, line: para.line });
+      return true;
+    }
+
+    async _gotoSentence(index) {
+      const offset = index >= 0 ? this._doc.sentences[index] : undefined;
+      if (offset == null) return false;
+
+      const line = this._docLineOf(offset);
+      const column = this._docColumn(offset);
+      await this._docGoto(line);
+      this._doc.sentence = index;
+      this._doc.overlay = true;
+      await this.setCursor(column);
+      this.emit("sentence", { sentence: index, sentences: this._doc.sentences.length, line, column });
+      return true;
+    }
+
+    async _gotoHit(hit, wrapped) {
+      const f = this._doc.find;
+      if (hit < 0 || hit >= f.hits.length) return false;
+
+      f.hit = hit;
+      const offset = f.hits[hit];
+      const line = this._docLineOf(offset);
+      const column = this._docColumn(offset);
+
+      await this._docGoto(line);
+      this._doc.overlay = true;
+      await this.setSelection(column, column + f.query.length);
+      this.emit("find", { query: f.query, found: true, hit, hits: f.hits.length, wrapped: Boolean(wrapped), line, column });
+      return true;
+    }
+
+    // ----- document storage: { [id]: { last, bookmarks: { name: offset } } } -----
+    _docStorage() {
+      if (this._options.storage) return this._options.storage;
+      try {
+        return global.localStorage || null;
+      } catch {
+        return null;
+      }
+    }
+
+    _docStoredAll() {
+      const storage = this._docStorage();
+      if (!storage) return {};
+      try {
+        const parsed = JSON.parse(storage.getItem(this._options.storageKey) || "{}");
+        return parsed && typeof parsed === "object" ? parsed : {};
+      } catch (err) {
+        this._logDebug("document storage unreadable:", err);
+        return {};
+      }
+    }
+
+    _docStored(id) {
+      return this._docStoredAll()[String(id)] || null;
+    }
+
+    _docSave() {
+      const doc = this._doc;
+      const storage = this._docStorage();
+      if (!doc || doc.id == null || !storage) return;
+
+      const all = this._docStoredAll();
+      all[doc.id] = { last: this._docOffset(), bookmarks: { ...doc.bookmarks } };
+      try {
+        storage.setItem(this._options.storageKey, JSON.stringify(all));
+      } catch (err) {
+        this._logDebug("document storage not saved:", err);
+      }
+    }
+
     // -----------------------------------------------------------------------
     // PUBLIC API – QUERY CURRENT LINE
     // -----------------------------------------------------------------------
@@ -504,34 +2084,46 @@ _updateMonitor() {
       return this._line;
     }
 
+    // Row text for position lookups: the full text when row 0 is panned
+    _rowText(row) {
+      if (row === 0 && this._isPanned()) return this._text;
+      return this.getRow(row);
+    }
+
     /**
-     * Return character at braille cell index (0-based).
+     * Return character at text position (0-based) of a row (default 0).
+     * Without panning the position equals the braille cell index.
      */
-    getCharAt(index) {
+    getCharAt(index, row = 0) {
       if (typeof index !== "number") return null;
-      if (index < 0 || index >= this._line.length) return null;
-      return this._line.charAt(index);
+      const line = this._rowText(row);
+      if (line == null) return null;
+      if (index < 0 || index >= line.length) return null;
+      return line.charAt(index);
     }
 
     /**
-     * Return word at given index.
+     * Return word at given text position (bounds are text positions too,
+     * cellStart/cellEnd the matching display cells).
      * Options:
      *   withBounds: if true, returns { word, start, end }  (end exclusive)
+     *   row: text row on multi-row displays (default 0)
      *
      * First tries the token map (from setTokens), then falls back to scanning.
      */
     getWordAt(index, options = {}) {
       if (typeof index !== "number") return null;
-      if (index < 0 || index >= this._line.length) return null;
 
-      const { withBounds = false } = options;
+      const { withBounds = false, row = 0 } = options;
+      const line = this._rowText(row);
+      if (line == null) return null;
+      if (index < 0 || index >= line.length) return null;
 
-      // 1) token map (from setTokens)
-      const token = this._indexToToken[index];
+      // 1) token map (from setTokens, row 0 only)
+      const token = row === 0 ? this._indexToToken[index] : null;
       if (token) {
         if (!withBounds) return { word: token };
 
-        const line = this._line;
         const len = line.length;
 
         let start = index;
@@ -542,17 +2134,11 @@ _updateMonitor() {
         while (end < len && this._indexToToken[end] === token) {
           end++;
         }
-        return { word: token, start, end };
+        return this._withCellBounds({ word: token, start, end }, row);
       }
 
       // 2) Fallback: infer from spaces
-      const line = this._line;
-      const sep = this._options.wordSeparators;
-      const isSep = (ch) => {
-        if (!ch) return true;
-        if (sep instanceof RegExp) return sep.test(ch);
-        return String(sep).indexOf(ch) !== -1;
-      };
+      const isSep = (ch) => this._isSep(ch);
 
       if (isSep(line.charAt(index))) {
         return null;
@@ -571,9 +2157,15 @@ _updateMonitor() {
       const word = line.substring(start, end);
       if (!word.trim()) return null;
 
-      if (withBounds) return { word: word.trim(), start, end };
+      if (withBounds) return this._withCellBounds({ word: word.trim(), start, end }, row);
       return { word: word.trim() };
     }
+
+    // Add display cell bounds (cellStart, cellEnd exclusive; null off-window) to word bounds
+    _withCellBounds(info, row) {
+      if (row !== 0) return { ...info, cellStart: info.start, cellEnd: info.end };
+      return { ...info, cellStart: this.textIndexToCell(info.start), cellEnd: this.textIndexToCell(info.end) };
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -582,6 +2174,7 @@ _updateMonitor() {
   const BrailleUI = new BrailleUIClass();
 
   global.BrailleUI = BrailleUI;
+  global.BrailleScreenStack = ScreenStack;
   global.createBrailleUI = function (options) {
     return new BrailleUIClass(options);
   };
@@ -0,0 +1,213 @@
+/*!
+ * Hyphenation – Liang pattern hyphenation for braille line wrapping
+ * -----------------------------------------------------------------
+ * Responsibilities:
+ *  - Liang (TeX) pattern matcher: "x3s2t" style patterns, odd value = break
+ *  - Per-locale registry (patterns, exceptions, leftMin/rightMin)
+ *  - Never split inside multigraphs (ij, ui, eu, oe, ch, ...)
+ *  - Built-in Dutch ("nl") pattern set for syllable breaks
+ *
+ * Usage:
+ *   Hyphenation.hyphenate("appelboom");            // ["ap", "pel", "boom"]
+ *   Hyphenation.positions("verkeerslicht");        // [3, 8]  ver-keers-licht (break before index)
+ *   Hyphenation.register("xx", { patterns: ["1b", "2bl"], leftMin: 2 });
+ *
+ * Used by BrailleUI.setPageText(text, { hyphenate: "nl" }).
+ */
+
+(function (global) {
+  "use strict";
+
+  const LETTERS = /^[a-zà-öø-ÿ]+$/;
+
+  const locales = new Map(); // locale → { patterns: Map, maxLen, exceptions, leftMin, rightMin, noSplit }
+
+  // "x3s2t" → { key: "xst", values: [0, 3, 2, 0] }
+  function parsePattern(pattern) {
+    const values = [0];
+    let key = "";
+    for (const ch of String(pattern)) {
+      if (ch >= "0" && ch <= "9") {
+        values[values.length - 1] = Number(ch);
+      } else {
+        key += ch;
+        values.push(0);
+      }
+    }
+    return { key, values };
+  }
+
+  function register(locale, def = {}) {
+    const patterns = new Map();
+    let maxLen = 0;
+    for (const p of def.patterns || []) {
+      const { key, values } = parsePattern(p);
+      if (!key) continue;
+      const known = patterns.get(key);
+      patterns.set(key, known ? known.map((v, i) => Math.max(v, values[i])) : values);
+      if (key.length > maxLen) maxLen = key.length;
+    }
+
+    // Exceptions: "ap-pel-boom" → positions [2, 5]
+    const exceptions = new Map();
+    for (const e of def.exceptions || []) {
+      const parts = String(e).toLowerCase().split("-");
+      const positions = [];
+      let at = 0;
+      for (let i = 0; i < parts.length - 1; i++) {
+        at += parts[i].length;
+        positions.push(at);
+      }
+      exceptions.set(parts.join(""), positions);
+    }
+
+    locales.set(String(locale).toLowerCase(), {
+      patterns,
+      maxLen,
+      exceptions,
+      leftMin: def.leftMin ?? 2,
+      rightMin: def.rightMin ?? 2,
+      noSplit: (def.noSplit || []).map(s => String(s).toLowerCase())
+    });
+  }
+
+  function hasLocale(locale) {
+    return locales.has(String(locale || "").toLowerCase());
+  }
+
+  /**
+   * Break positions of a single word: indexes i where the word may be split
+   * as word.slice(0, i) + "-" / word.slice(i). Words with non-letters → [].
+   */
+  function positions(word, options = {}) {
+    const lang = locales.get(String(options.locale || "nl").toLowerCase());
+    if (!lang) return [];
+
+    const lower = String(word || "").toLowerCase();
+    if (!LETTERS.test(lower)) return [];
+    if (lang.exceptions.has(lower)) return lang.exceptions.get(lower).slice();
+
+    const leftMin = options.leftMin ?? lang.leftMin;
+    const rightMin = options.rightMin ?? lang.rightMin;
+    if (lower.length < leftMin + rightMin) return [];
+
+    // Liang: collect the maximum value between every two letters of ".word."
+    const dotted = "." + lower + ".";
+    const values = new Array(dotted.length + 1).fill(0);
+    for (let i = 0; i < dotted.length; i++) {
+      for (let len = 1; len <= lang.maxLen && i + len <= dotted.length; len++) {
+        const pv = lang.patterns.get(dotted.substr(i, len));
+        if (!pv) continue;
+        for (let k = 0; k < pv.length; k++) {
+          if (pv[k] > values[i + k]) values[i + k] = pv[k];
+        }
+      }
+    }
+
+    const out = [];
+    for (let pos = leftMin; pos <= lower.length - rightMin; pos++) {
+      // values index: dotted offset pos + 1 is the gap before lower[pos]
+      if (values[pos + 1] % 2 === 0) continue;
+      const around = lower.substr(pos - 1, 2);
+      if (lang.noSplit.includes(around)) continue;
+      if (lang.noSplit.some(m => m.length > 2 && splitsMultigraph(lower, pos, m))) continue;
+      out.push(pos);
+    }
+    return out;
+  }
+
+  function splitsMultigraph(word, pos, multigraph) {
+    for (let start = pos - multigraph.length + 1; start < pos; start++) {
+      if (start >= 0 && word.substr(start, multigraph.length) === multigraph) return true;
+    }
+    return false;
+  }
+
+  function hyphenate(word, options = {}) {
+    const w = String(word || "");
+    const parts = [];
+    let from = 0;
+    for (const pos of positions(w, options)) {
+      parts.push(w.slice(from, pos));
+      from = pos;
+    }
+    parts.push(w.slice(from));
+    return parts;
+  }
+
+  // ---------------------------------------------------------------------------
+  // DUTCH (nl)
+  // ---------------------------------------------------------------------------
+  // Compact syllable patterns, generated from the Dutch splitting rules:
+  //  - a break before a consonant that follows a vowel        (1b, 1c, ...)
+  //  - two consonants are split between them                  (2rk → bar-ken)
+  //  - after a consonant a syllable takes the longest onset   (n3s2t → ven-ster)
+  //  - an onset only counts before a vowel                    (4stm → kerst-mis)
+  //  - after a consonant s + l/m/n/w splits after the s: it
+  //    is the linking s of a compound                         (verkeers-licht)
+  //  - except after the prefixes be-, ge-, ver-, ont-         (.ver3s2l → ver-slag)
+  //  - obstruent + l/r and ch/sch stay together               (b2l, c2h, 3s2c2h)
+  //  - ch before a consonant closes the syllable              (2cht → lach-ten)
+  //  - ij acts as a vowel                                     (i2j)
+  // No word list: other compound seams fall where these rules put them.
+  const NL_CONSONANTS = "bcdfghjklmnpqrstvwxz".split("");
+  const NL_CLUSTERS = ["bl", "br", "dr", "fl", "fr", "gl", "gr", "kl", "kr", "pl", "pr", "tr", "vl", "vr", "wr", "ch"];
+  const NL_ONSETS = ["kn", "sp", "st", "zw", "str", "spr", "spl", "schr"];
+  const NL_S_ONSETS = ["sl", "sm", "sn", "sw"];
+  const NL_PREFIXES = ["be", "ge", "ver", "ont"];
+
+  function weave(cluster, first, inner = "2") {
+    // "str", 3 → "3s2t2r"
+    return first + cluster.split("").join(inner);
+  }
+
+  function dutchPatterns() {
+    const out = ["i2j", "3s2c2h", "3s2c2h2r"];
+    for (const c of NL_CONSONANTS) {
+      out.push("1" + c);
+      if (c !== "h") out.push("2c2h" + c);
+    }
+    for (const a of NL_CONSONANTS) {
+      for (const b of NL_CONSONANTS) {
+        if (!NL_CLUSTERS.includes(a + b)) out.push("2" + a + b);
+      }
+    }
+    for (const cl of NL_CLUSTERS) out.push(weave(cl, ""));
+    const onsets = NL_CLUSTERS.concat(NL_ONSETS);
+    for (const x of NL_CONSONANTS) {
+      for (const cl of onsets) {
+        if (x + cl !== "sch") out.push(x + weave(cl, "3"));   // sch: 3s2c2h
+      }
+    }
+    for (const cl of onsets) {
+      if (cl.includes("ch")) continue;                        // 2cht
+      if (cl.length > 2) out.push(weave(cl, "", "4"));         // str: no s3t2r inside
+      for (const c of NL_CONSONANTS) {
+        if (!onsets.some(o => o.startsWith(cl + c))) out.push("4" + cl + c);
+      }
+    }
+    for (const pre of NL_PREFIXES) {
+      for (const cl of NL_S_ONSETS) out.push("." + pre + weave(cl, "3"));
+    }
+    return out;
+  }
+
+  register("nl", {
+    patterns: dutchPatterns(),
+    exceptions: ["ont-rouw", "ver-an-de-ring", "ver-an-de-ren"],
+    leftMin: 2,
+    rightMin: 2,
+    noSplit: ["ij", "ui", "eu", "oe", "ie", "ou", "au", "ei", "aa", "ee", "oo", "uu", "ch", "sch"]
+  });
+
+  // ---------------------------------------------------------------------------
+  // GLOBAL EXPORT
+  // ---------------------------------------------------------------------------
+  global.Hyphenation = {
+    register,
+    hasLocale,
+    positions,
+    hyphenate
+  };
+
+})(window);
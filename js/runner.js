@@ -387,92 +387,34 @@
 
   let stoppedPlayedForThisRun = false;
 
+  // Both thumbs stop the run; a thumb key still arriving right after the
+  // combo must not act as a single thumb (e.g. restart the activity)
+  const COMBO_GUARD_MS = 500;
+  let lastComboAt = -Infinity;
+
   let brailleMonitor = null;
-  let brailleLine = "";
-  const BRAILLE_CELLS = 40;
+  let brailleCells = 40;          // updated from BrailleBridge "displaycells"
+
+  let ssocSimulator = null;
+  const SIMULATOR_FALLBACK_MS = 1500; // wait this long for the real BrailleBridge
+  const SIMULATOR_PROBE_MS = 5000;    // while simulated, retry the real BrailleBridge this often
+  let simulatorProbeTimer = null;
+
+  // Displays (classroom pairing): the first is the global BrailleBridge,
+  // extra ones come from ?display2=<baseUrl | broadcast:channel>
+  let mainDisplayId = "display1";
+  const extraDisplays = new Map();  // id → { id, label, bridge, ui }
 
   // ------------------------------------------------------------
-  // Header braille (NL signs aware): add ⠠ for capitals, ⠼ at digit-run start
-  // This is for the *visual header* (#field-word-braille), NOT for routing.
+  // Header braille (#field-word-braille), visual only: the shared engine
+  // (js/braille/index.js), so it matches the monitor and the simulator.
+  // Always 6-dot literary; the braille mode only picks the bridge table.
   // ------------------------------------------------------------
-  const SIGN_CAPITAL = "⠠";     // dot 6
-  const SIGN_NUMBER  = "⠼";     // 3456
-  const BRAILLE_BLANK = "⠀";    // U+2800
-  const BRAILLE_UNKNOWN = "⣿";
-
-  const BRAILLE_LETTERS = {
-    a: "⠁", b: "⠃", c: "⠉", d: "⠙", e: "⠑",
-    f: "⠋", g: "⠛", h: "⠓", i: "⠊", j: "⠚",
-    k: "⠅", l: "⠇", m: "⠍", n: "⠝", o: "⠕",
-    p: "⠏", q: "⠟", r: "⠗", s: "⠎", t: "⠞",
-    u: "⠥", v: "⠧", w: "⠺", x: "⠭", y: "⠽", z: "⠵"
-  };
-
-  const BRAILLE_DIGITS = {
-    "1": "⠁", "2": "⠃", "3": "⠉", "4": "⠙", "5": "⠑",
-    "6": "⠋", "7": "⠛", "8": "⠓", "9": "⠊", "0": "⠚"
-  };
-
-  const BRAILLE_PUNCT = {
-    " ": BRAILLE_BLANK,
-    ".": "⠲",
-    ",": "⠂",
-    ";": "⠆",
-    ":": "⠒",
-    "?": "⠦",
-    "!": "⠖",
-    "-": "⠤",
-    "'": "⠄",
-    "\"": "⠶",
-    "/": "⠌",
-    "(": "⠐⠣",
-    ")": "⠐⠜"
-  };
-
-  function isDigit(ch) { return ch >= "0" && ch <= "9"; }
-
   function toBrailleUnicode(text) {
     const raw = String(text ?? "");
     if (!raw) return "–";
-
-    let out = "";
-    let inNumberRun = false;
-
-    for (let i = 0; i < raw.length; i++) {
-      const ch = raw[i];
-
-      // space / punctuation
-      if (Object.prototype.hasOwnProperty.call(BRAILLE_PUNCT, ch)) {
-        out += BRAILLE_PUNCT[ch];
-        inNumberRun = false;
-        continue;
-      }
-
-      // digits: number sign only at start of run
-      if (isDigit(ch)) {
-        const digitCell = BRAILLE_DIGITS[ch] || BRAILLE_UNKNOWN;
-        if (!inNumberRun) out += SIGN_NUMBER;
-        out += digitCell;
-        inNumberRun = true;
-        continue;
-      } else {
-        inNumberRun = false;
-      }
-
-      // letters + capitals
-      const lower = ch.toLowerCase();
-      if (Object.prototype.hasOwnProperty.call(BRAILLE_LETTERS, lower)) {
-        const cell = BRAILLE_LETTERS[lower];
-        if (ch !== lower) out += SIGN_CAPITAL;
-        out += cell;
-        continue;
-      }
-
-      // unknown
-      out += BRAILLE_UNKNOWN;
-    }
-
-    return out;
+    if (!window.Braille || typeof Braille.translate !== "function") return raw;
+    return Braille.translate(raw, { locale: currentLang }).unicode;
   }
 
   // ------------------------------------------------------------
@@ -544,6 +486,52 @@
     }
   }
 
+  // Settings page toggle (SettingsStore.DEFAULTS.ssocSimulator is true)
+  function loadSimulatorSetting() {
+    try {
+      const raw = localStorage.getItem(SETTINGS_KEY);
+      if (!raw) return true;
+      const parsed = JSON.parse(raw);
+      return (typeof parsed?.ssocSimulator === "boolean") ? parsed.ssocSimulator : true;
+    } catch {
+      return true;
+    }
+  }
+
+  // Settings page braille mode: "literacy" (6-dot) | "computer" (8-dot)
+  function loadBrailleModeSetting() {
+    try {
+      const raw = localStorage.getItem(SETTINGS_KEY);
+      if (!raw) return "literacy";
+      const parsed = JSON.parse(raw);
+      return parsed?.brailleMode === "computer" ? "computer" : "literacy";
+    } catch {
+      return "literacy";
+    }
+  }
+
+  // Mode + language last applied; a reconnect with the same setting keeps the
+  // table that is active on the bridge (chosen on the device or in tools/tables.html)
+  let appliedBrailleMode = null;
+
+  function applyBrailleMode() {
+    if (!window.BrailleBridge || typeof BrailleBridge.setTableForMode !== "function") return;
+    const mode = loadBrailleModeSetting();
+    const key = mode + ":" + currentLang;
+    if (key === appliedBrailleMode) return;
+
+    appliedBrailleMode = key;
+    BrailleBridge.setTableForMode(mode, currentLang)
+      .then((res) => {
+        if (!res?.ok && appliedBrailleMode === key) appliedBrailleMode = null;
+        log("[runner] braille mode", { mode, lang: currentLang, table: res?.table, ok: res?.ok, kept: Boolean(res?.kept) });
+      })
+      .catch((e) => {
+        if (appliedBrailleMode === key) appliedBrailleMode = null;
+        log("[runner] braille mode failed", { mode, error: String(e) });
+      });
+  }
+
   function updateLangPill(lang) {
     const el = $opt("lang-pill");
     if (!el) return;
@@ -615,68 +603,314 @@
 
   // ------------------------------------------------------------
   // Braille line to hardware/monitor: keep PRINT TEXT ONLY (no emoji)
+  // The main display is the global BrailleUI (js/brailleui.js): the runner
+  // and activities share its line, pages, tokens and cursor events.
   // ------------------------------------------------------------
-  function compactSingleLine(text) {
-    return String(text ?? "").replace(/\s+/g, " ").trim();
+  function mainUi() {
+    return window.BrailleUI && typeof window.BrailleUI.setLine === "function" ? window.BrailleUI : null;
   }
 
-  function normalizeBrailleText(text) {
-    const single = compactSingleLine(text);
-    if (!single) return "";
-    return single.padEnd(BRAILLE_CELLS, " ").substring(0, BRAILLE_CELLS);
+  function updateBrailleLine(text, meta = {}) {
+    const ui = mainUi();
+    if (!ui) {
+      log("[runner] BrailleUI not available", { reason: meta.reason || "unspecified" });
+      return;
+    }
+    ui.setLine(text, meta).then(
+      (res) => reportLineResult(res, { reason: meta.reason || "unspecified" }),
+      (err) => log("[runner] BrailleUI.setLine failed", { message: err?.message })
+    );
   }
 
-  function updateBrailleLine(text, meta = {}) {
-    const next = normalizeBrailleText(text);
-    if (next === brailleLine) return;
-    brailleLine = next;
+  // The bridge resolves skipped / coalesced / queued lines (queued ones are
+  // logged on its "queued" event); an HTTP error status also resolves, ok: false.
+  function reportLineResult(res, info) {
+    if (!res || res.ok !== false || res.queued) return;
+    log("[runner] braille line rejected by the bridge", { ...info, status: res.status, body: res.body });
+  }
 
+  // Monitor + log follow every line change, also pages / tokens set by activities
+  function onMainLineChanged(evt) {
+    const line = evt?.line ?? "";
     if (brailleMonitor && typeof brailleMonitor.setText === "function") {
-      if (next) brailleMonitor.setText(next);
+      if (line.trim()) brailleMonitor.setText(line);
       else if (typeof brailleMonitor.clear === "function") brailleMonitor.clear();
       else brailleMonitor.setText("");
     }
+    log("[runner] Braille line updated", { len: line.trimEnd().length, lineIndex: evt?.lineIndex, reason: evt?.reason || "unspecified" });
+  }
 
-    if (window.BrailleBridge) {
-      if (!next && typeof BrailleBridge.clearDisplay === "function") {
-        BrailleBridge.clearDisplay().catch((err) => {
-          log("[runner] BrailleBridge.clearDisplay failed", { message: err?.message });
-        });
-      } else if (typeof BrailleBridge.sendText === "function") {
-        BrailleBridge.sendText(next).catch((err) => {
-          log("[runner] BrailleBridge.sendText failed", { message: err?.message });
-        });
+  function getIdleBrailleText() {
+    const item = records[currentIndex];
+    return item && item.word != null ? String(item.word) : "";
+  }
+
+  // ------------------------------------------------------------
+  // SSoC simulator fallback (Settings: "Use simulator")
+  // If the real BrailleBridge is not connected after SIMULATOR_FALLBACK_MS,
+  // switch the shared BrailleBridge instance to an in-browser simulator.
+  // Meanwhile a separate WebSocket keeps trying the real bridge every
+  // SIMULATOR_PROBE_MS; once it opens, the shared instance switches back.
+  // ------------------------------------------------------------
+  function installSimulatorFallback() {
+    if (!loadSimulatorSetting()) {
+      log("[runner] SSoC simulator disabled in settings");
+      return;
+    }
+    if (!window.SsocSimulator || !window.BrailleBridge || typeof BrailleBridge.useSimulator !== "function") {
+      log("[runner] SSoC simulator not available");
+      return;
+    }
+
+    setTimeout(() => {
+      if (BrailleBridge.isConnected()) return;
+      ssocSimulator = new SsocSimulator({ displayCells: brailleCells, lang: currentLang });
+      BrailleBridge.useSimulator(ssocSimulator);
+      log("[runner] BrailleBridge unavailable; using SSoC simulator");
+      scheduleRealBridgeProbe();
+    }, SIMULATOR_FALLBACK_MS);
+  }
+
+  function scheduleRealBridgeProbe() {
+    clearTimeout(simulatorProbeTimer);
+    simulatorProbeTimer = setTimeout(probeRealBridge, SIMULATOR_PROBE_MS);
+  }
+
+  // One connection attempt on a throwaway transport, so the simulator keeps
+  // serving the activity until the real bridge has actually answered.
+  function probeRealBridge() {
+    simulatorProbeTimer = null;
+    const Transports = window.BrailleBridgeTransports;
+    if (!ssocSimulator || !Transports || typeof Transports.WebSocketTransport !== "function") return;
+
+    const probe = new Transports.WebSocketTransport();
+    probe.configure(BrailleBridge.getConfig());
+    let settled = false;
+    const giveUp = setTimeout(() => finish(false), SIMULATOR_PROBE_MS);
+
+    function finish(found) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(giveUp);
+      probe.dispose();
+      if (!ssocSimulator) return;
+      if (!found) {
+        scheduleRealBridgeProbe();
+        return;
       }
+      ssocSimulator = null;
+      BrailleBridge.useSimulator(null);
+      log("[runner] BrailleBridge found; leaving SSoC simulator");
     }
 
-    log("[runner] Braille line updated", { len: next.length, reason: meta.reason || "unspecified" });
+    try {
+      probe.open({
+        onOpen: () => finish(true),
+        onClose: () => finish(false),
+        onError: () => finish(false),
+        onMessage: () => {}
+      });
+    } catch {
+      finish(false);
+    }
   }
 
-  function getIdleBrailleText() {
-    const item = records[currentIndex];
-    return item && item.word != null ? String(item.word) : "";
+  // ------------------------------------------------------------
+  // Extra displays (classroom pairing: teacher + pupil, or two pupils)
+  //   ?display2=http://192.168.1.20:5000   second BrailleBridge (its /ws is derived)
+  //   ?display2=broadcast:klas-1           bridge shared by another tab
+  //   ?displays=teacher,pupil              ids of display 1, 2, ... (default display1, display2)
+  // Each extra display gets its own BrailleBridge + BrailleUI; activities see
+  // ctx.displays, get `display` in every event and pick one with
+  // BrailleUI.setLine(text, { display }).
+  // ------------------------------------------------------------
+  function loadDisplayConfig() {
+    const params = new URLSearchParams(window.location.search || "");
+    const ids = String(params.get("displays") || "").split(",").map(s => s.trim()).filter(Boolean);
+    const extra = [];
+    for (let n = 2; n <= 4; n++) {
+      const target = params.get("display" + n);
+      if (target) extra.push({ id: ids[n - 1] || "display" + n, target });
+    }
+    return { mainId: ids[0] || "display1", extra };
   }
 
-  function computeWordAt(text, index) {
-    if (!text) return "";
-    const len = text.length;
-    if (index < 0 || index >= len) return "";
-    let start = index;
-    let end = index;
-    while (start > 0 && text[start - 1] !== " ") start--;
-    while (end < len - 1 && text[end + 1] !== " ") end++;
-    return text.substring(start, end + 1).trim();
+  function createDisplayBridge(target) {
+    if (target.startsWith("broadcast:")) {
+      const channel = target.slice("broadcast:".length);
+      return createBrailleBridge({ transport: "broadcast", channel: channel || undefined });
+    }
+    const baseUrl = target.replace(/\/+$/, "");
+    return createBrailleBridge({ baseUrl, wsUrl: baseUrl.replace(/^http/i, "ws") + "/ws" });
   }
 
-  function dispatchCursorSelection(info, source) {
-    const index = typeof info?.index === "number" ? info.index : null;
-    const letter = info?.letter ?? (index != null ? brailleLine[index] || " " : " ");
-    const word = info?.word ?? (index != null ? computeWordAt(brailleLine, index) : "");
+  function installExtraDisplays() {
+    const cfg = loadDisplayConfig();
+    mainDisplayId = cfg.mainId;
+    const main = mainUi();
+    if (main) main.setOptions({ id: mainDisplayId });
+    if (!cfg.extra.length) return;
 
-    log("[runner] Cursor selection", { source, index, letter, word });
+    if (typeof window.createBrailleBridge !== "function" || typeof window.createBrailleUI !== "function" || !main) {
+      log("[runner] extra displays need braillebridge.js and brailleui.js", { displays: cfg.extra.map(d => d.id) });
+      return;
+    }
+
+    cfg.extra.forEach(({ id, target }) => {
+      const bridge = createDisplayBridge(target);
+      const ui = createBrailleUI({ bridge, id, locale: currentLang });
+      const display = { id, label: id, bridge, ui };
+
+      extraDisplays.set(id, display);
+      main.addDisplay(id, ui);
+      bindDisplayUi(ui, id);
+      bindDisplayBridge(display);
+      bridge.connect();
+      log("[runner] extra display", { id, target });
+    });
+  }
+
+  // BrailleUI cursor payloads carry the text index (index) and the cell (column)
+  function bindDisplayUi(ui, id) {
+    ui.on("cursor", (evt) => dispatchCursorSelection({ index: evt.index, cell: evt.column }, "bridge", id));
+    ui.on("routing", (evt) => {
+      if (evt.role !== "primary") dispatchRouting({ role: evt.role, strip: evt.strip, row: evt.row, cell: evt.column }, "bridge", id);
+    });
+  }
+
+  function bindDisplayBridge(display) {
+    const { id, bridge } = display;
+
+    bridge.on("thumbkey", (evt) => {
+      if (evt?.nameLower === "rightthumb") rightThumbAction(id);
+      else if (evt?.nameLower === "leftthumb") leftThumbAction(id);
+    });
+    bridge.on("gesture", (evt) => {
+      if (evt?.gesture) dispatchGesture(evt, "bridge", id);
+    });
+    bridge.on("braillechar", (evt) => {
+      dispatchBrailleInput({ dots: evt?.dots ?? [], unicode: evt?.unicode ?? "", space: Boolean(evt?.space) }, "bridge", id);
+    });
+    bridge.on("braillekey", (evt) => {
+      if (evt?.key) dispatchBrailleInput({ key: evt.key }, "bridge", id);
+    });
+    bridge.on("connected", () => log("[runner] display connected", { display: id }));
+    bridge.on("disconnected", () => log("[runner] display disconnected", { display: id }));
+  }
+
+  function updateExtraDisplayLine(id, text, meta = {}) {
+    const display = extraDisplays.get(id);
+    if (!display) {
+      log("[runner] unknown display", { display: id, reason: meta.reason || "unspecified" });
+      return;
+    }
+
+    display.ui.setLine(text, meta).then(
+      (res) => reportLineResult(res, { display: id, reason: meta.reason || "unspecified" }),
+      (err) => log("[runner] display update failed", { display: id, message: err?.message })
+    );
+    log("[runner] Braille line updated", { display: id, len: String(text ?? "").trim().length, reason: meta.reason || "unspecified" });
+  }
+
+  function clearExtraDisplays(reason) {
+    for (const id of extraDisplays.keys()) updateExtraDisplayLine(id, "", { reason });
+  }
+
+  function getDisplayList() {
+    return [
+      { id: mainDisplayId, main: true },
+      ...Array.from(extraDisplays.values(), d => ({ id: d.id, main: false }))
+    ];
+  }
+
+  // BrailleUI of a display (routing lookups)
+  function displayUi(display) {
+    const extra = display ? extraDisplays.get(display) : null;
+    return extra ? extra.ui : mainUi();
+  }
+
+  // Routing keys report a display cell; capital / number signs take an extra
+  // cell and long lines are panned, so BrailleUI maps the cell back to the
+  // text index of the character it belongs to.
+  function resolvePosition(info, ui) {
+    const cell = typeof info?.cell === "number" ? info.cell : null;
+    if (!ui) return { index: typeof info?.index === "number" ? info.index : cell, cell };
+    if (cell != null) return { index: ui.cellToTextIndex(cell), cell };
+    if (typeof info?.index === "number") return { index: info.index, cell: ui.textIndexToCell(info.index) };
+    return { index: null, cell };
+  }
+
+  // Letter and word under a text index; the word comes from BrailleUI's token
+  // map (setTokens, hyphenated page lines) before falling back to spaces.
+  function describePosition(ui, index, info) {
+    const letter = ui && index != null ? ui.getCharAt(index) : null;
+    const wordInfo = ui && index != null ? ui.getWordAt(index) : null;
+    return {
+      letter: letter ?? info?.letter ?? " ",
+      word: wordInfo ? wordInfo.word : (info?.word ?? "")
+    };
+  }
+
+  function dispatchCursorSelection(info, source, display = mainDisplayId) {
+    const ui = displayUi(display);
+    const { index, cell } = resolvePosition(info, ui);
+    const { letter, word } = describePosition(ui, index, info);
+
+    log("[runner] Cursor selection", { source, display, index, cell, letter, word });
 
     if (activeActivityModule && typeof activeActivityModule.onCursor === "function") {
-      activeActivityModule.onCursor({ source, index, letter, word });
+      activeActivityModule.onCursor({ source, display, index, cell, letter, word });
+    }
+  }
+
+  // Routing strips other than the primary one (e.g. second row = "speak this letter")
+  function dispatchRouting(evt, source, display = mainDisplayId) {
+    const ui = displayUi(display);
+    const { index, cell } = resolvePosition(evt, ui);
+    const { letter, word } = describePosition(ui, index, null);
+
+    log("[runner] Routing", { source, display, role: evt.role, strip: evt.strip, row: evt.row, index, cell, letter, word });
+
+    if (running && activeActivityModule && typeof activeActivityModule.onRouting === "function") {
+      activeActivityModule.onRouting({ source, display, role: evt.role, row: evt.row, index, cell, letter, word });
+    }
+  }
+
+  function dispatchBrailleInput(info, source, display = mainDisplayId) {
+    log("[runner] Braille input", { source, display, ...info });
+
+    if (!running || !activeActivityModule) return;
+    if (info.key) {
+      if (typeof activeActivityModule.onBrailleKey === "function") {
+        activeActivityModule.onBrailleKey({ source, display, key: info.key });
+      }
+      return;
+    }
+    if (typeof activeActivityModule.onBrailleChar === "function") {
+      activeActivityModule.onBrailleChar({ source, display, dots: info.dots, unicode: info.unicode, space: info.space });
+    }
+  }
+
+  function dispatchGesture(evt, source, display = mainDisplayId) {
+    log("[runner] Gesture", { source, display, gesture: evt.gesture, name: evt.name, index: evt.index });
+
+    // Runner-level: both thumbs together stops the running activity
+    if (evt.gesture === "combo" && evt.name === "leftthumb+rightthumb") {
+      lastComboAt = Date.now();
+      if (running) cancelRun("both-thumbs");
+      return;
+    }
+
+    if (running && activeActivityModule && typeof activeActivityModule.onGesture === "function") {
+      activeActivityModule.onGesture({
+        source,
+        display,
+        gesture: evt.gesture,
+        key: evt.key,
+        keys: evt.keys,
+        name: evt.name,
+        index: evt.index
+      });
     }
   }
 
@@ -892,6 +1126,9 @@
     } finally {
       activeActivityModule = null;
       activeActivityDonePromise = null;
+      // A feedback flash of the stopped activity must not restore its line later
+      const ui = mainUi();
+      if (ui) ui.cancelFlash({ restore: false }).catch(() => {});
     }
   }
 
@@ -907,6 +1144,7 @@
     setRunnerUi({ isRunning: false });
     setActivityStatus("idle");
     updateBrailleLine(getIdleBrailleText(), { reason: "cancelRun-idle" });
+    clearExtraDisplays("cancelRun-idle");
   }
 
   function waitForStopOrDone(currentToken) {
@@ -968,7 +1206,8 @@
         record: cur.item ?? null,
         recordIndex: currentIndex,
         activityIndex: currentActivityIndex,
-        autoStarted: Boolean(autoStarted)
+        autoStarted: Boolean(autoStarted),
+        displays: getDisplayList()
       });
 
       activeActivityDonePromise =
@@ -996,6 +1235,7 @@
       stopActiveActivity({ reason: "finally" });
 
       updateBrailleLine(getIdleBrailleText(), { reason: "activity-done-idle" });
+      clearExtraDisplays("activity-done-idle");
 
       const autoRun = $opt("auto-run");
       if (autoRun && autoRun.checked) {
@@ -1049,17 +1289,25 @@
     render();
   }
 
-  function rightThumbAction() {
+  function inComboGuard() {
+    return Date.now() - lastComboAt < COMBO_GUARD_MS;
+  }
+
+  function rightThumbAction(display = mainDisplayId) {
+    if (inComboGuard()) return;
     const cur = getCurrentActivity();
     const key = canonicalActivityId(cur?.activity?.id);
 
     if (instructionPlaying && toggleInstructionPlayback()) return;
 
     if (running && activeActivityModule && typeof activeActivityModule.onRightThumb === "function") {
-      activeActivityModule.onRightThumb();
+      activeActivityModule.onRightThumb({ display });
       return;
     }
 
+    // Only the main display starts / pauses the runner itself
+    if (display !== mainDisplayId) return;
+
     if (running && key === "story" && activeActivityModule && typeof activeActivityModule.togglePlayPause === "function") {
       activeActivityModule.togglePlayPause("RightThumb");
       return;
@@ -1068,9 +1316,10 @@
     if (!running) startSelectedActivity({ autoStarted: false });
   }
 
-  function leftThumbAction() {
+  function leftThumbAction(display = mainDisplayId) {
+    if (inComboGuard()) return;
     if (running && activeActivityModule && typeof activeActivityModule.onLeftThumb === "function") {
-      activeActivityModule.onLeftThumb();
+      activeActivityModule.onLeftThumb({ display });
       return;
     }
   }
@@ -1148,7 +1397,7 @@
       emojiEl.style.display = em ? "" : "none";
     }
 
-    // Header braille rendering (visual only; adds ⠠ and ⠼ rules)
+    // Header braille rendering (visual only)
     const wordBrailleEl = $opt("field-word-braille");
     if (wordBrailleEl) wordBrailleEl.textContent = toBrailleUnicode(wordText);
 
@@ -1166,15 +1415,6 @@
     if (!running) updateBrailleLine(getIdleBrailleText(), { reason: "render-idle" });
   }
 
-  // Public braille output API for activities
-  window.BrailleUI = window.BrailleUI || {};
-  window.BrailleUI.setLine = function (text, meta) {
-    updateBrailleLine(String(text ?? ""), meta || { reason: "activity" });
-  };
-  window.BrailleUI.clear = function (meta) {
-    updateBrailleLine("", meta || { reason: "activity-clear" });
-  };
-
   document.addEventListener("DOMContentLoaded", () => {
     log("[runner] DOMContentLoaded");
     log("[lifecycle] basePath", { BASE_PATH, origin: location.origin });
@@ -1201,21 +1441,72 @@
 
     // Bridge events
     if (window.BrailleBridge && typeof BrailleBridge.connect === "function") {
+      // ?record=1 → record the bridge session (BrailleBridge.downloadRecording() in the console)
+      const pageParams = new URLSearchParams(window.location.search || "");
+      if (pageParams.get("record") === "1" && typeof BrailleBridge.startRecording === "function") {
+        BrailleBridge.startRecording();
+        log("[runner] BrailleBridge session recording on");
+      }
+
       BrailleBridge.connect();
-      BrailleBridge.on("cursor", (evt) => {
-        if (typeof evt?.index !== "number") return;
-        dispatchCursorSelection({ index: evt.index }, "bridge");
-      });
+      // Routing keys arrive through BrailleUI (pan, token map, cell → text index)
+      const ui = mainUi();
+      if (ui) {
+        ui.setOptions({ locale: currentLang });
+        ui.on("lineChanged", onMainLineChanged);
+        bindDisplayUi(ui); // no id: dispatch defaults to mainDisplayId (set by installExtraDisplays)
+      } else {
+        log("[runner] BrailleUI not loaded; routing keys are not handled");
+      }
       BrailleBridge.on("brailleline", (evt) => {
-        if (!brailleMonitor || typeof brailleMonitor.setBrailleUnicode !== "function") return;
         const unicode = evt?.brailleUnicode ?? "";
         const sourceText = evt?.sourceText ?? "";
         if (!unicode) return;
+
+        if (!brailleMonitor || typeof brailleMonitor.setBrailleUnicode !== "function") return;
         log("[runner] brailleLine ws", { json: evt?.raw ?? null });
         brailleMonitor.setBrailleUnicode(unicode, sourceText);
       });
-      BrailleBridge.on("connected", () => log("[runner] BrailleBridge connected"));
+      BrailleBridge.on("gesture", (evt) => {
+        if (evt?.gesture) dispatchGesture(evt, "bridge");
+      });
+      BrailleBridge.on("braillechar", (evt) => {
+        dispatchBrailleInput({ dots: evt?.dots ?? [], unicode: evt?.unicode ?? "", space: Boolean(evt?.space) }, "bridge");
+      });
+      BrailleBridge.on("braillekey", (evt) => {
+        if (evt?.key) dispatchBrailleInput({ key: evt.key }, "bridge");
+      });
+      BrailleBridge.on("cursorcontext", (evt) => {
+        log("[runner] cursorContext ws", { cellIndex: evt?.cellIndex, textIndex: evt?.textIndex, character: evt?.character, word: evt?.word });
+      });
+      BrailleBridge.on("displaycells", (evt) => {
+        if (typeof evt?.cells !== "number" || evt.cells <= 0) return;
+        // BrailleUI follows the cell count itself and re-sends its line
+        brailleCells = evt.cells;
+        log("[runner] display cells", { cells: brailleCells, device: evt.device });
+      });
+      BrailleBridge.on("connected", (evt) => {
+        log("[runner] BrailleBridge connected", { simulator: Boolean(evt?.simulator) });
+        applyBrailleMode();
+      });
+      // Each violation kind is logged once; getContractStats() has the counts
+      BrailleBridge.on("contractviolation", (evt) => {
+        const fresh = (evt?.violations || []).filter(v => v.count === 1);
+        if (!fresh.length) return;
+        log("[runner] BrailleBridge contract violation", { message: evt?.message, violations: fresh, totals: evt?.totals });
+      });
+      BrailleBridge.on("tablechanged", (evt) => log("[runner] braille table", { table: evt?.table, previous: evt?.previous, source: evt?.source }));
+      BrailleBridge.on("status", (evt) => {
+        if (evt?.state === evt?.previous) return;
+        log("[runner] BrailleBridge status", { state: evt?.state, text: evt?.text, latencyMs: evt?.latencyMs, device: evt?.device });
+      });
       BrailleBridge.on("disconnected", () => {});
+      BrailleBridge.on("queued", (evt) => log("[runner] BrailleBridge intent queued", { pending: evt?.pending, reason: evt?.reason }));
+      BrailleBridge.on("flushed", (evt) => log("[runner] BrailleBridge queue flushed", evt));
+      BrailleBridge.on("output", (evt) => {
+        if (evt?.status !== "echoed") return;
+        log("[runner] braille line echoed", { seq: evt.seq, latencyMs: Math.round(evt.latencyMs) });
+      });
     }
 
     // BrailleMonitor init (lang-aware)
@@ -1223,7 +1514,12 @@
       brailleMonitor = BrailleMonitor.init({
         containerId: "brailleMonitorComponent",
         lang: currentLang,
-        onCursorClick(info) { dispatchCursorSelection(info, "monitor"); },
+        onCursorClick(info) {
+          // The simulator routes a display cell, activities get the text index
+          const cell = typeof info?.cell === "number" ? info.cell : info?.index;
+          if (ssocSimulator && typeof cell === "number") ssocSimulator.route(cell);
+          dispatchCursorSelection(info, "monitor");
+        },
         mapping: {
           leftthumb: () => leftThumbAction(),
           rightthumb: () => rightThumbAction(),
@@ -1236,6 +1532,20 @@
       log("[runner] BrailleMonitor not available");
     }
 
+    // Device status (teacher sees a slow or dropped display before the child does)
+    if (window.DeviceStatus && window.BrailleBridge && $opt("deviceStatus")) {
+      const deviceStatus = new DeviceStatus({
+        containerId: "deviceStatus",
+        label: "Braille display",
+        initialState: "connecting",
+        initialText: "Connecting…"
+      });
+      deviceStatus.bindToBrailleBridge(BrailleBridge);
+    }
+
+    installSimulatorFallback();
+    installExtraDisplays();
+
     // Apply language changes when returning from Settings (iOS BFCache safe)
     function applyLanguageIfChanged(reason) {
       const next = resolveLang();
@@ -1249,6 +1559,10 @@
       if (brailleMonitor && typeof brailleMonitor.setLang === "function") {
         brailleMonitor.setLang(currentLang);
       }
+      if (ssocSimulator) ssocSimulator.setLang(currentLang);
+      mainUi()?.setOptions({ locale: currentLang });
+      for (const d of extraDisplays.values()) d.ui.setOptions({ locale: currentLang });
+      if (window.BrailleBridge?.isConnected?.()) applyBrailleMode();
 
       // re-render header braille too
       render();
@@ -0,0 +1,404 @@
+/*!
+ * SSoC Simulator – in-browser stand-in for BrailleBridge
+ * ------------------------------------------------------
+ * Implements the server side of the BrailleBridge contract locally
+ * (see documents/100-braillebridge brailleserver contract.txt):
+ *  - POST /braille, GET /clear, GET /ping
+ *  - GET /devices, POST /devices/select, GET /braille/test
+ *  - GET /tables, POST /brailletable (only changes Braille.Table)
+ *  - POST /editor/enable|disable|input, GET /editor/status
+ *  - WS commands editorInput / setEditorMode
+ *  - pushes brailleLine after every content change
+ *  - pushes cursorContext when a routing key is simulated (route())
+ *
+ * Text is translated with the shared engine (js/braille/index.js) and its
+ * locale modules (js/braille/nl.js, js/braille/en.js), so load those first.
+ *
+ * Usage:
+ *   const sim = new SsocSimulator({ displayCells: 40, lang: "nl" });
+ *   BrailleBridge.useSimulator(sim);   // same Bridge events, no hardware
+ *   sim.route(3);                      // e.g. from a BrailleMonitor click
+ */
+
+(function (global) {
+  "use strict";
+
+  const DEFAULT_OPTIONS = {
+    displayCells: 40,
+    lang: "nl",
+    table: "nl-NL-g0.utb",
+    deviceName: "SSoC Simulator",
+    latencyMs: 0,               // delay before pushed messages arrive
+    debug: false
+  };
+
+  // Tables reported by GET /tables (the translation itself stays the shared engine)
+  const SIM_TABLES = [
+    { FileName: "nl-NL-g0.utb", DisplayName: "Nederlands (6 punten)", Language: "nl", Metadata: { dots: ["6"] } },
+    { FileName: "nl-comp8.utb", DisplayName: "Nederlands computerbraille (8 punten)", Language: "nl", Metadata: { dots: ["8"] } },
+    { FileName: "en-ueb-g1.ctb", DisplayName: "English UEB grade 1", Language: "en", Metadata: { dots: ["6"] } },
+    { FileName: "en-us-comp8.ctb", DisplayName: "English computer braille (8 dots)", Language: "en", Metadata: { dots: ["8"] } }
+  ];
+
+  const BRAILLE_BLANK = "⠀";    // U+2800
+  const BRAILLE_UNKNOWN = "⣿";
+
+  function codePoint(ch) {
+    const cp = String(ch || "").codePointAt(0);
+    if (cp == null) return "";
+    return "U+" + cp.toString(16).toUpperCase().padStart(4, "0");
+  }
+
+  function isBraillePattern(ch) {
+    const cp = String(ch || "").codePointAt(0);
+    return cp >= 0x2800 && cp <= 0x28ff;
+  }
+
+  function jsonResponse(status, obj) {
+    return { ok: status >= 200 && status < 300, status, body: JSON.stringify(obj) };
+  }
+
+  class SsocSimulator {
+    constructor(options = {}) {
+      this._options = { ...DEFAULT_OPTIONS, ...options };
+
+      this._listener = null;        // receives pushed messages (JSON strings)
+      this._editorEnabled = false;
+      this._text = "";              // current source text (line or editor buffer)
+      this._caret = 0;              // editor caret (text index)
+      this._line = null;            // last translation: { unicode, cells, cellToText }
+      this._reverse = null;         // braille cell → character (lazy)
+    }
+
+    // ----- CONFIG ------------------------------------------------------------
+    setOptions(partial) {
+      this._options = { ...this._options, ...partial };
+    }
+
+    setLang(lang) {
+      this._options.lang = lang ? String(lang) : DEFAULT_OPTIONS.lang;
+      this._reverse = null;
+      this._pushBrailleLine();
+    }
+
+    getState() {
+      return {
+        editorEnabled: this._editorEnabled,
+        text: this._text,
+        caret: this._caret,
+        unicode: this._line ? this._line.unicode : ""
+      };
+    }
+
+    // ----- MESSAGE SINK ------------------------------------------------------
+    /**
+     * Register the function that receives pushed messages (the bridge).
+     * Pass null to detach.
+     */
+    onMessage(fn) {
+      this._listener = typeof fn === "function" ? fn : null;
+    }
+
+    _logDebug(...args) {
+      if (this._options.debug) console.log("[SsocSimulator]", ...args);
+    }
+
+    _push(obj) {
+      const data = JSON.stringify(obj);
+      this._logDebug("push", data);
+      setTimeout(() => {
+        if (this._listener) this._listener(data);
+      }, this._options.latencyMs);
+    }
+
+    // ----- TRANSLATION -------------------------------------------------------
+    _cellsForText(text) {
+      const raw = String(text ?? "");
+      // Same engine as the runner header and the monitor (js/braille/index.js)
+      if (global.Braille && typeof global.Braille.textToBrailleCells === "function") {
+        return global.Braille.textToBrailleCells(raw, { locale: this._options.lang });
+      }
+
+      this._logDebug("no braille engine loaded (js/braille/index.js)");
+      return Array.from(raw, ch => (ch === " " ? BRAILLE_BLANK : isBraillePattern(ch) ? ch : BRAILLE_UNKNOWN));
+    }
+
+    /**
+     * Translate text to { unicode, cells, cellToText }.
+     * cellToText[cellIndex] → text index that produced the cell.
+     */
+    _translate(text) {
+      const perChar = this._cellsForText(text);
+      const cellToText = [];
+      let unicode = "";
+
+      for (let i = 0; i < perChar.length; i++) {
+        for (const cell of Array.from(perChar[i])) {
+          unicode += cell;
+          cellToText.push(i);
+        }
+      }
+
+      return { unicode, cells: Array.from(unicode), cellToText };
+    }
+
+    _reverseMap() {
+      if (this._reverse) return this._reverse;
+      const map = { [BRAILLE_BLANK]: " " };
+      const letters = "abcdefghijklmnopqrstuvwxyz";
+      const cells = this._cellsForText(letters);
+      for (let i = 0; i < letters.length; i++) {
+        const cell = cells[i];
+        if (cell && Array.from(cell).length === 1 && !map[cell]) map[cell] = letters[i];
+      }
+      this._reverse = map;
+      return map;
+    }
+
+    _pushBrailleLine() {
+      this._line = this._translate(this._text);
+      this._push({
+        Type: "brailleLine",
+        Ok: true,
+        TimestampUtc: new Date().toISOString(),
+        SourceText: this._text,
+        Braille: {
+          UnicodeText: this._line.unicode,
+          Table: this._options.table,
+          ModeUsed: 0,
+          CodeUnits: this._line.cells.map(codePoint).join(" ")
+        }
+      });
+    }
+
+    // ----- EDITOR ------------------------------------------------------------
+    _insert(str) {
+      const s = String(str ?? "");
+      if (!s) return;
+      this._text = this._text.slice(0, this._caret) + s + this._text.slice(this._caret);
+      this._caret += s.length;
+    }
+
+    _applyKey(key) {
+      const k = String(key || "").toLowerCase();
+      const len = this._text.length;
+
+      if (k === "backspace") {
+        if (this._caret > 0) {
+          this._text = this._text.slice(0, this._caret - 1) + this._text.slice(this._caret);
+          this._caret -= 1;
+        }
+      } else if (k === "delete") {
+        if (this._caret < len) {
+          this._text = this._text.slice(0, this._caret) + this._text.slice(this._caret + 1);
+        }
+      } else if (k === "space") {
+        this._insert(" ");
+      } else if (k === "arrowleft" || k === "left") {
+        this._caret = Math.max(0, this._caret - 1);
+      } else if (k === "arrowright" || k === "right") {
+        this._caret = Math.min(len, this._caret + 1);
+      } else if (k === "home") {
+        this._caret = 0;
+      } else if (k === "end") {
+        this._caret = len;
+      } else {
+        this._logDebug("unsupported editor key", key);
+        return false;
+      }
+      return true;
+    }
+
+    _applyEditorInput(input) {
+      if (!this._editorEnabled) return false;
+      if (!input || typeof input !== "object") return false;
+
+      const kind = String(input.kind || "").toLowerCase();
+      if (kind === "text") {
+        this._insert(input.text);
+      } else if (kind === "braille") {
+        const reverse = this._reverseMap();
+        const out = Array.from(String(input.unicode ?? ""), cell => reverse[cell] ?? cell).join("");
+        this._insert(out);
+      } else if (kind === "key") {
+        if (!this._applyKey(input.key)) return false;
+      } else {
+        return false;
+      }
+
+      this._pushBrailleLine();
+      return true;
+    }
+
+    _setEditorEnabled(enabled) {
+      this._editorEnabled = Boolean(enabled);
+      this._caret = this._text.length;
+      this._pushBrailleLine();
+    }
+
+    // ----- TRANSPORT ENTRY POINTS -------------------------------------------
+    /**
+     * Handle an HTTP request. Returns { ok, status, body } like Bridge._post().
+     */
+    handleHttp(method, path, body) {
+      const m = String(method || "GET").toUpperCase();
+      const p = String(path || "").split("?")[0];
+      this._logDebug("HTTP", m, p, body);
+
+      if (m === "POST" && p === "/braille") {
+        if (this._editorEnabled) return jsonResponse(409, { ok: false, error: "editor mode is on" });
+        this._text = String(body ?? "");
+        this._caret = this._text.length;
+        this._pushBrailleLine();
+        return { ok: true, status: 200, body: "" };
+      }
+
+      if (p === "/clear") {
+        this._text = "";
+        this._caret = 0;
+        this._pushBrailleLine();
+        return { ok: true, status: 200, body: "" };
+      }
+
+      if (p === "/ping") {
+        return jsonResponse(200, { ok: true, simulator: true, device: this._options.deviceName });
+      }
+
+      if (p === "/devices") {
+        return jsonResponse(200, {
+          ok: true,
+          devices: [{ Id: "simulator", Name: this._options.deviceName, Cells: this._options.displayCells, Selected: true }]
+        });
+      }
+
+      if (m === "POST" && p === "/devices/select") {
+        let req = null;
+        try { req = JSON.parse(body || "{}"); } catch { req = null; }
+        const ok = !!req && String(req.id) === "simulator";
+        return jsonResponse(ok ? 200 : 404, { ok });
+      }
+
+      if (p === "/braille/test") {
+        if (this._editorEnabled) return jsonResponse(409, { ok: false, error: "editor mode is on" });
+        this._text = "abcdefghijklmnopqrstuvwxyz 0123456789".substring(0, this._options.displayCells);
+        this._caret = this._text.length;
+        this._pushBrailleLine();
+        return jsonResponse(200, { ok: true });
+      }
+
+      if (p === "/tables") {
+        return jsonResponse(200, { ok: true, count: SIM_TABLES.length, tables: SIM_TABLES });
+      }
+
+      if (m === "POST" && p === "/brailletable") {
+        const name = String(body ?? "").trim();
+        if (!SIM_TABLES.some(t => t.FileName === name)) {
+          return jsonResponse(404, { ok: false, error: "unknown table: " + name });
+        }
+        this._options.table = name;
+        this._pushBrailleLine();
+        return jsonResponse(200, { ok: true, table: name });
+      }
+
+      if (m === "POST" && p === "/editor/enable") {
+        this._setEditorEnabled(true);
+        return jsonResponse(200, { ok: true });
+      }
+
+      if (m === "POST" && p === "/editor/disable") {
+        this._setEditorEnabled(false);
+        return jsonResponse(200, { ok: true });
+      }
+
+      if (p === "/editor/status") {
+        return jsonResponse(200, { enabled: this._editorEnabled });
+      }
+
+      if (m === "POST" && p === "/editor/input") {
+        let input = null;
+        try { input = JSON.parse(body || "{}"); } catch { input = null; }
+        const ok = this._applyEditorInput(input);
+        return jsonResponse(ok ? 200 : 400, { ok });
+      }
+
+      return jsonResponse(404, { ok: false, error: "not found: " + p });
+    }
+
+    /**
+     * Handle a WebSocket message sent by the client.
+     */
+    handleWs(data) {
+      let msg;
+      try {
+        msg = typeof data === "string" ? JSON.parse(data) : data;
+      } catch {
+        this._logDebug("WS parse error", data);
+        return;
+      }
+      if (!msg || msg.type !== "command") return;
+
+      if (msg.command === "editorInput") {
+        this._applyEditorInput(msg.input);
+      } else if (msg.command === "setEditorMode") {
+        this._setEditorEnabled(msg.enabled);
+      }
+    }
+
+    // ----- SIMULATED KEYS ----------------------------------------------------
+    /**
+     * Simulate a cursor routing key on braille cell `cellIndex`.
+     * Moves the editor caret (editor mode) and pushes a cursorContext message.
+     * Returns false if the cell is outside the current line.
+     */
+    route(cellIndex) {
+      const line = this._line || this._translate(this._text);
+      const idx = Number(cellIndex);
+      if (!Number.isInteger(idx) || idx < 0 || idx >= line.cells.length) return false;
+
+      const textIndex = line.cellToText[idx];
+      const ch = this._text.charAt(textIndex);
+      const cellChar = line.cells[idx];
+
+      // First cell of a multi-cell character is a prefix sign (capital/number)
+      const firstCellOfChar = line.cellToText.indexOf(textIndex);
+      const cellsForChar = line.cellToText.filter(t => t === textIndex).length;
+      const isPrefix = cellsForChar > 1 && idx === firstCellOfChar;
+      const isCapitalSign = isPrefix && ch !== ch.toLowerCase();
+
+      let start = textIndex;
+      let end = textIndex;
+      while (start > 0 && this._text[start - 1] !== " ") start--;
+      while (end < this._text.length && this._text[end] !== " ") end++;
+      const word = this._text.substring(start, end).trim();
+
+      if (this._editorEnabled) this._caret = textIndex;
+
+      this._push({
+        Type: "cursorContext",
+        Ok: true,
+        TimestampUtc: new Date().toISOString(),
+        SourceText: this._text,
+        Table: this._options.table,
+        Cursor: {
+          CellIndex: idx,
+          TextIndex: textIndex,
+          Character: ch,
+          CharacterCodePoint: codePoint(ch),
+          Word: word
+        },
+        Braille: {
+          CellChar: cellChar,
+          CellCodePoint: codePoint(cellChar),
+          IsCapitalSign: isCapitalSign
+        }
+      });
+      return true;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // GLOBAL EXPORT
+  // ---------------------------------------------------------------------------
+  global.SsocSimulator = SsocSimulator;
+
+})(window);
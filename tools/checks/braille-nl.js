@@ -0,0 +1,61 @@
+// /tools/checks/braille-nl.js
+// Reference strings with their expected cells for the Dutch table
+// (js/braille/nl.js); run it after changing any of the maps there.
+//   node tools/checks/braille-nl.js
+"use strict";
+
+const { loadScripts, createReport } = require("./harness");
+
+const EXAMPLES = [
+  { text: "kat", cells: "⠅⠁⠞" },
+  { text: "Kat", cells: "⠨⠅⠁⠞" },
+  { text: "KAT", cells: "⠨⠨⠅⠁⠞" },
+  { text: "Jan en Piet", cells: "⠨⠚⠁⠝⠀⠑⠝⠀⠨⠏⠊⠑⠞" },
+  { text: "de VS en de EU", cells: "⠙⠑⠀⠨⠨⠧⠎⠀⠑⠝⠀⠙⠑⠀⠨⠨⠑⠥" },
+  { text: "LEES DIT HEEL GOED!", cells: "⠨⠨⠨⠇⠑⠑⠎⠀⠙⠊⠞⠀⠓⠑⠑⠇⠀⠛⠕⠑⠙⠨⠄⠖" },
+  { text: "McDonald", cells: "⠨⠍⠉⠨⠙⠕⠝⠁⠇⠙" },
+  { text: "café", cells: "⠉⠁⠋⠿" },
+  { text: "één", cells: "⠿⠿⠝" },
+  { text: "ideeën", cells: "⠊⠙⠑⠑⠫⠝" },
+  { text: "naïef", cells: "⠝⠁⠻⠑⠋" },
+  { text: "reünie", cells: "⠗⠑⠳⠝⠊⠑" },
+  { text: "crème brûlée", cells: "⠉⠗⠮⠍⠑⠀⠃⠗⠱⠇⠿⠑" },
+  { text: "à la carte", cells: "⠷⠀⠇⠁⠀⠉⠁⠗⠞⠑" },
+  { text: "Ça va", cells: "⠨⠯⠁⠀⠧⠁" },
+  { text: "señor", cells: "⠎⠑⠘⠝⠕⠗" },
+  { text: "auto's", cells: "⠁⠥⠞⠕⠄⠎" },
+  { text: "'s avonds", cells: "⠄⠎⠀⠁⠧⠕⠝⠙⠎" },
+  { text: "'t Is koud", cells: "⠄⠞⠀⠨⠊⠎⠀⠅⠕⠥⠙" },
+  { text: "’s-Hertogenbosch", cells: "⠄⠎⠤⠨⠓⠑⠗⠞⠕⠛⠑⠝⠃⠕⠎⠉⠓" },
+  { text: "Hoe gaat het?", cells: "⠨⠓⠕⠑⠀⠛⠁⠁⠞⠀⠓⠑⠞⠢" },
+  { text: "Ja, nee; misschien: ok.", cells: "⠨⠚⠁⠂⠀⠝⠑⠑⠆⠀⠍⠊⠎⠎⠉⠓⠊⠑⠝⠒⠀⠕⠅⠲" },
+  { text: "(zie [1])", cells: "⠦⠵⠊⠑⠀⠘⠦⠼⠁⠴⠃⠴" },
+  { text: "„Hallo”", cells: "⠶⠨⠓⠁⠇⠇⠕⠶" },
+  { text: "wacht…", cells: "⠺⠁⠉⠓⠞⠲⠲⠲" },
+  { text: "en/of", cells: "⠑⠝⠌⠕⠋" },
+  { text: "2025", cells: "⠼⠃⠚⠃⠑" },
+  { text: "3,5", cells: "⠼⠉⠂⠑" },
+  { text: "1.000", cells: "⠼⠁⠄⠚⠚⠚" },
+  { text: "3a", cells: "⠼⠉⠰⠁" },
+  { text: "3B", cells: "⠼⠉⠨⠃" },
+  { text: "€ 2,50", cells: "⠈⠑⠀⠼⠃⠂⠑⠚" },
+  { text: "$5 of £3", cells: "⠈⠎⠼⠑⠀⠕⠋⠀⠈⠇⠼⠉" },
+  { text: "2 + 3 = 5", cells: "⠼⠃⠀⠐⠖⠀⠼⠉⠀⠐⠶⠀⠼⠑" },
+  { text: "6 × 7 − 2", cells: "⠼⠋⠀⠐⠦⠀⠼⠛⠀⠐⠤⠀⠼⠃" },
+  { text: "8 ÷ 2 < 5", cells: "⠼⠓⠀⠐⠌⠀⠼⠃⠀⠈⠣⠀⠼⠑" },
+  { text: "50%", cells: "⠼⠑⠚⠨⠴" },
+  { text: "info@school.nl", cells: "⠊⠝⠋⠕⠈⠁⠎⠉⠓⠕⠕⠇⠲⠝⠇" }
+];
+
+const report = createReport("braille-nl");
+const { BrailleRegistry } = loadScripts(["js/braille/nl.js"]);
+const nl = BrailleRegistry.nl;
+
+for (const { text, cells } of EXAMPLES) {
+  const perChar = nl.textToBrailleCells(text);
+  const actual = perChar.join("");
+  report.check(text, actual === cells && perChar.length === text.length,
+    `expected ${cells}, got ${actual} (${perChar.length} cells for ${text.length} characters)`);
+}
+
+report.finish();
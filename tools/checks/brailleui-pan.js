@@ -0,0 +1,79 @@
+// /tools/checks/brailleui-pan.js
+// Panning a line with capitals and numbers: every window fits the display in
+// braille cells (signs included), the "more" indicator sits in the last cells,
+// and routing cells map back to the absolute text position.
+//   node tools/checks/brailleui-pan.js
+"use strict";
+
+const { loadScripts, createReport } = require("./harness");
+
+const CELLS = 20;
+const TEXT = "Op 12 MEI 2025 gaat Jan met Piet en 3 KATTEN naar Den Haag, om 14.30 uur";
+
+async function main() {
+  const report = createReport("brailleui-pan");
+  const bridge = {
+    on() {},
+    off() {},
+    sendText: async () => ({ ok: true }),
+    clearDisplay: async () => ({ ok: true })
+  };
+  const win = loadScripts([
+    "js/braille/nl.js",
+    "js/braille/cellmap.js",
+    "js/braille/index.js",
+    "js/brailleui.js"
+  ], {
+    document: { addEventListener() {}, getElementById() { return null; } },
+    BrailleBridge: bridge
+  });
+
+  const ui = win.createBrailleUI({ bridge, displayCells: CELLS, followDeviceCells: false, locale: "nl" });
+  const translate = text => win.BrailleCellMap.translate(text, { locale: "nl" });
+  const indicator = translate(">").cells.join("");
+
+  await ui.setText(TEXT);
+  const seen = new Set();
+  for (let step = 0; step < 20; step++) {
+    const line = ui.getCurrentLine();
+    const map = translate(line);
+    const info = ui.getPanInfo();
+    const label = `window at ${info.offset} "${line}"`;
+
+    report.check(label + " fits the display", map.cells.length <= CELLS, map.cells.length + " cells");
+    if (info.canPanRight) {
+      report.check(label + " ends with the indicator",
+        map.cells.length === CELLS && map.cells.slice(-indicator.length).join("") === indicator, map.unicode);
+    }
+
+    for (let cell = 0; cell < CELLS; cell++) {
+      const index = ui.cellToTextIndex(cell);
+      if (index == null) continue;
+      seen.add(index);
+      const pos = map.cellToText[cell];
+      if (TEXT.charAt(index) !== line.charAt(pos)) {
+        report.check(label + " cell " + cell + " maps to its character", false, index + " vs " + pos);
+      }
+    }
+
+    if (!(await ui.panRight())) break;
+  }
+
+  const missing = [...TEXT].map((_, i) => i).filter(i => TEXT.charAt(i) !== " " && !seen.has(i));
+  report.check("every character is shown in some window", missing.length === 0, missing.join(","));
+
+  const last = ui.getPanInfo().offset;
+  await ui.panLeft();
+  const back = ui.getPanInfo();
+  report.check("pan left goes back", back.offset < last && back.offset + back.width >= last - 1,
+    JSON.stringify(back));
+  report.check("pan left window fits the display", translate(ui.getCurrentLine()).cells.length <= CELLS,
+    ui.getCurrentLine());
+
+  report.finish();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
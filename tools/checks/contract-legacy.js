@@ -0,0 +1,46 @@
+// /tools/checks/contract-legacy.js
+// The documented legacy key shapes (no Type / MsgType) pass the contract
+// check, and a repeated violation carries a running count.
+//   node tools/checks/contract-legacy.js
+"use strict";
+
+const { loadScripts, sleep, createReport } = require("./harness");
+
+async function main() {
+  const report = createReport("contract-legacy");
+  const win = loadScripts(["js/braillebridge.js"], {
+    document: { addEventListener() {}, getElementById() { return null; } },
+    fetch: async () => ({ ok: true, status: 200, json: async () => ({}), text: async () => "{}" })
+  });
+
+  const { LoopbackTransport } = win.BrailleBridgeTransports;
+  const transport = new LoopbackTransport({ onRequest: async () => ({ ok: true, status: 200, body: "{}" }) });
+  transport.simulated = false;
+  win.BrailleBridge.setConfig({ heartbeatIntervalMs: 0, autoDetectDevice: false, validateContract: true });
+  win.BrailleBridge.setTransport(transport);
+
+  const seen = [];
+  win.BrailleBridge.on("contractviolation", evt => seen.push(evt));
+  await win.BrailleBridge.connect();
+  await sleep(300);
+
+  transport.inject({ Kind: 1, IsPress: true, CursorIndex: 9 });
+  transport.inject({ kind: "cursorRoutingStrip", press: true, cursorIndex: 9 });
+  transport.inject({ Kind: 2, IsPress: true, Name: "LeftThumb" });
+  await sleep(100);
+  report.check("legacy shapes are not violations", seen.length === 0,
+    JSON.stringify(seen.map(e => e.violations)));
+
+  transport.inject({ Type: "bogus" });
+  transport.inject({ Type: "bogus" });
+  await sleep(100);
+  const counts = seen.map(e => e.violations[0] && e.violations[0].count);
+  report.check("repeated violation is counted", counts.join(",") === "1,2", counts.join(","));
+
+  report.finish();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
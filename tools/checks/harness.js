@@ -0,0 +1,107 @@
+// /tools/checks/harness.js
+// Loads the browser scripts (IIFEs on window) into a Node vm context with a
+// minimal fake DOM, so the checks next to this file can run without a browser:
+//   node tools/checks/<check>.js      (exit code 1 on a failed check)
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+
+function fakeElement() {
+  return {
+    style: {},
+    dataset: {},
+    children: [],
+    innerHTML: "",
+    textContent: "",
+    classList: { add() {}, remove() {}, toggle() {}, contains() { return false; } },
+    setAttribute() {},
+    getAttribute() { return null; },
+    appendChild(child) { this.children.push(child); return child; },
+    addEventListener() {},
+    removeEventListener() {},
+    querySelector() { return null; },
+    querySelectorAll() { return []; }
+  };
+}
+
+/**
+ * Fake document: getElementById only knows the ids in `ids` (one element each).
+ * Returns { document, ready() } — ready() runs the DOMContentLoaded listeners.
+ */
+function fakeDocument(ids = []) {
+  const listeners = [];
+  const elements = new Map(ids.map(id => [id, fakeElement()]));
+  const document = {
+    addEventListener(type, fn) { if (type === "DOMContentLoaded") listeners.push(fn); },
+    getElementById(id) { return elements.get(id) || null; },
+    querySelector() { return null; },
+    querySelectorAll() { return []; },
+    createElement: fakeElement,
+    documentElement: { lang: "", setAttribute() {}, getAttribute() { return null; } },
+    body: fakeElement()
+  };
+  return { document, ready: () => listeners.forEach(fn => fn()) };
+}
+
+function fakeStorage() {
+  const data = new Map();
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key)
+  };
+}
+
+/**
+ * Run `files` (paths relative to the repo root) in one window-like context.
+ * `extra` adds or overrides globals (document, fetch, location, ...).
+ */
+function loadScripts(files, extra = {}) {
+  const win = {
+    console, setTimeout, clearTimeout, setInterval, clearInterval,
+    Date, JSON, Math, Promise, URL, URLSearchParams, performance,
+    localStorage: fakeStorage(),
+    addEventListener() {},
+    requestAnimationFrame: fn => setTimeout(fn, 16),
+    navigator: { userAgent: "node" },
+    ...extra
+  };
+  win.window = win;
+  win.globalThis = win;
+
+  const context = vm.createContext(win);
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  }
+  return win;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Collects results; finish() prints a summary and sets the exit code.
+ */
+function createReport(name) {
+  const failures = [];
+  let passed = 0;
+  return {
+    check(label, ok, detail) {
+      if (ok) {
+        passed++;
+        return;
+      }
+      failures.push(label);
+      console.log("FAIL " + label + (detail !== undefined ? ": " + detail : ""));
+    },
+    finish() {
+      console.log(`${name}: ${passed} passed, ${failures.length} failed`);
+      process.exit(failures.length ? 1 : 0);
+    }
+  };
+}
+
+module.exports = { ROOT, fakeElement, fakeDocument, loadScripts, sleep, createReport };
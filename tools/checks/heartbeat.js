@@ -0,0 +1,65 @@
+// /tools/checks/heartbeat.js
+// GET /ping heartbeat: a quiet WebSocket stays connected, an HTTP error status
+// reports "degraded" without dropping it, and only unanswered pings drop it.
+//   node tools/checks/heartbeat.js
+"use strict";
+
+const { loadScripts, sleep, createReport } = require("./harness");
+
+async function main() {
+  const report = createReport("heartbeat");
+  const win = loadScripts(["js/braillebridge.js"], {
+    document: { addEventListener() {}, getElementById() { return null; } },
+    fetch: async () => ({ ok: true, status: 200, json: async () => ({}), text: async () => "{}" })
+  });
+
+  let ping = { ok: true, status: 200, body: "pong" };
+  const { LoopbackTransport } = win.BrailleBridgeTransports;
+  const transport = new LoopbackTransport({
+    onRequest: async (method, path) => {
+      if (path !== "/ping") return { ok: true, status: 200, body: "{}" };
+      if (ping === "throw") throw new Error("bridge down");
+      return ping;
+    }
+  });
+  transport.simulated = false;
+  const bridge = win.BrailleBridge;
+  const closes = [];
+  bridge.on("disconnected", evt => closes.push(evt));
+  bridge.setConfig({
+    heartbeatIntervalMs: 50,
+    heartbeatTimeoutMs: 40,
+    heartbeatMaxMisses: 2,
+    autoDetectDevice: false,
+    autoReconnect: false
+  });
+  bridge.setTransport(transport);
+  await bridge.connect();
+
+  // No WS traffic at all, /ping answers
+  await sleep(400);
+  report.check("quiet socket stays connected", bridge.isConnected() && closes.length === 0,
+    JSON.stringify(closes));
+  report.check("quiet socket is online", bridge.getStatus().state === "online", bridge.getStatus().text);
+
+  ping = { ok: false, status: 404, body: "" };
+  await sleep(200);
+  report.check("404 on /ping is degraded", bridge.getStatus().state === "degraded", bridge.getStatus().text);
+  report.check("404 on /ping keeps the socket", bridge.isConnected() && closes.length === 0);
+
+  ping = { ok: true, status: 200, body: "pong" };
+  await sleep(200);
+  report.check("healthy /ping is online again", bridge.getStatus().state === "online", bridge.getStatus().text);
+
+  ping = "throw";
+  await sleep(400);
+  report.check("unanswered pings drop the socket", !bridge.isConnected(), bridge.getStatus().text);
+
+  bridge.disconnect();
+  report.finish();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
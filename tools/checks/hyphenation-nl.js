@@ -0,0 +1,36 @@
+// /tools/checks/hyphenation-nl.js
+// Dutch hyphenation of words whose splits the nl rules have to get right.
+//   node tools/checks/hyphenation-nl.js
+"use strict";
+
+const { loadScripts, createReport } = require("./harness");
+
+const WORDS = [
+  "ap-pel-boom",
+  "ver-keers-licht",
+  "rijks-weg",
+  "stads-muur",
+  "dorps-straat",
+  "kerst-mis",
+  "ver-slag",
+  "be-slag",
+  "ont-slag",
+  "ge-smol-ten",
+  "ven-ster",
+  "mon-ster",
+  "lach-ten",
+  "schrij-ven",
+  "tijd-schrift",
+  "licht-straal",
+  "ont-rouw"
+];
+
+const report = createReport("hyphenation-nl");
+const { Hyphenation } = loadScripts(["js/hyphenation.js"]);
+
+for (const expected of WORDS) {
+  const actual = Hyphenation.hyphenate(expected.replace(/-/g, ""), { locale: "nl" }).join("-");
+  report.check(expected, actual === expected, actual);
+}
+
+report.finish();
@@ -0,0 +1,65 @@
+// /tools/checks/output-pipeline.js
+// sendText() through the output pipeline: skipped and coalesced lines resolve,
+// a failed send rejects, also for the line it replaced.
+//   node tools/checks/output-pipeline.js
+"use strict";
+
+const { loadScripts, sleep, createReport } = require("./harness");
+
+const settle = p => p.then(res => ({ res }), err => ({ err }));
+
+async function main() {
+  const report = createReport("output-pipeline");
+  const win = loadScripts(["js/braillebridge.js"], {
+    document: { addEventListener() {}, getElementById() { return null; } },
+    fetch: async () => ({ ok: true, status: 200, json: async () => ({}), text: async () => "{}" })
+  });
+
+  let failWith = null;
+  const { LoopbackTransport } = win.BrailleBridgeTransports;
+  const transport = new LoopbackTransport({
+    onRequest: async () => {
+      if (failWith === "throw") throw new Error("bridge down");
+      if (failWith) return { ok: false, status: failWith, body: "error" };
+      return { ok: true, status: 200, body: "{}" };
+    }
+  });
+  transport.simulated = false;
+  const bridge = win.BrailleBridge;
+  bridge.setConfig({ heartbeatIntervalMs: 0, autoDetectDevice: false, queueWhenOffline: false });
+  bridge.setTransport(transport);
+  await bridge.connect();
+  await sleep(200);
+
+  const sent = await settle(bridge.sendText("kat"));
+  report.check("line is sent", sent.res && sent.res.ok && sent.res.seq > 0, JSON.stringify(sent));
+
+  const same = await settle(bridge.sendText("kat"));
+  report.check("same line is skipped", same.res && same.res.skipped === true, JSON.stringify(same));
+
+  const first = settle(bridge.sendText("boom"));
+  const second = settle(bridge.sendText("bal"));
+  const [a, b] = await Promise.all([first, second]);
+  report.check("replaced line reports coalesced", a.res && a.res.coalesced && a.res.ok, JSON.stringify(a));
+  report.check("replaced line points at its successor", a.res && b.res && a.res.supersededBy === b.res.seq,
+    JSON.stringify([a, b]));
+
+  failWith = 500;
+  const status = await settle(bridge.sendText("vis"));
+  report.check("HTTP error status resolves ok: false", status.res && status.res.ok === false && status.res.status === 500,
+    JSON.stringify(status));
+
+  failWith = "throw";
+  const lost = settle(bridge.sendText("muis"));
+  const failed = settle(bridge.sendText("huis"));
+  const [c, d] = await Promise.all([lost, failed]);
+  report.check("failed send rejects", Boolean(d.err), JSON.stringify(d));
+  report.check("line replaced by a failed send rejects", Boolean(c.err), JSON.stringify(c));
+
+  report.finish();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
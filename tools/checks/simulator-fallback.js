@@ -0,0 +1,81 @@
+// /tools/checks/simulator-fallback.js
+// Without a real BrailleBridge the runner falls back to the SSoC simulator,
+// and switches back once the real bridge starts (late) after all.
+//   node tools/checks/simulator-fallback.js
+"use strict";
+
+const { fakeDocument, loadScripts, sleep, createReport } = require("./harness");
+
+const RECORDS = [{ id: 1, word: "kat", activities: [{ id: "probe", caption: "Probe" }] }];
+
+// WebSocket that fails to connect until bridgeUp is set
+let bridgeUp = false;
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    setTimeout(() => {
+      if (this.readyState !== FakeWebSocket.CONNECTING) return;
+      if (bridgeUp) {
+        this.readyState = FakeWebSocket.OPEN;
+        if (this.onopen) this.onopen();
+      } else {
+        this.readyState = FakeWebSocket.CLOSED;
+        if (this.onclose) this.onclose({ code: 1006, reason: "" });
+      }
+    }, 10);
+  }
+  send() {}
+  close() {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    if (this.onclose) this.onclose({ code: 1000, reason: "" });
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+
+async function main() {
+  const report = createReport("simulator-fallback");
+  const { document, ready } = fakeDocument(["brailleMonitorComponent"]);
+  const logs = [];
+
+  const win = loadScripts([
+    "js/braillebridge.js",
+    "js/ssoc-simulator.js",
+    "js/hyphenation.js",
+    "js/brailleui.js",
+    "js/braille/nl.js",
+    "js/braille/cellmap.js",
+    "js/braille/index.js",
+    "components/braille-monitor/braillemonitor.js",
+    "js/runner.js"
+  ], {
+    document,
+    WebSocket: FakeWebSocket,
+    logMessage(msg) { logs.push(String(msg)); },
+    location: { search: "", origin: "http://localhost", pathname: "/pages/activity-runner.html", href: "http://localhost/pages/activity-runner.html" },
+    fetch: async () => ({ ok: true, status: 200, json: async () => RECORDS, text: async () => "{}" })
+  });
+  win.Activities = { probe: { start() { return new Promise(() => {}); }, stop() {} } };
+  win.BrailleBridge.setConfig({ heartbeatIntervalMs: 0, autoDetectDevice: false });
+
+  ready();
+  await sleep(2000);
+  report.check("falls back to the simulator", win.BrailleBridge.isSimulated(), logs.filter(l => /simulator/i.test(l)).join(" | "));
+
+  bridgeUp = true;
+  await sleep(6000);
+  report.check("switches back to the real bridge", !win.BrailleBridge.isSimulated() && win.BrailleBridge.isConnected(),
+    win.BrailleBridge.getTransport().name);
+  report.check("logs the switch", logs.some(l => l.includes("leaving SSoC simulator")));
+
+  win.BrailleBridge.disconnect();
+  report.finish();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+// /tools/checks/thumb-combo.js
+// Both thumbs stop the running activity and it stays stopped: the thumb key
+// that completes the combo must not reach the activity or restart it. Single
+// thumb keys reach the activity at once (no wait for a possible combo).
+//   node tools/checks/thumb-combo.js
+"use strict";
+
+const { fakeDocument, loadScripts, sleep, createReport } = require("./harness");
+
+const RECORDS = [{ id: 1, word: "kat", activities: [{ id: "probe", caption: "Probe" }] }];
+
+async function main() {
+  const report = createReport("thumb-combo");
+  const { document, ready } = fakeDocument(["brailleMonitorComponent"]);
+  const calls = [];
+
+  const win = loadScripts([
+    "js/braillebridge.js",
+    "js/hyphenation.js",
+    "js/brailleui.js",
+    "js/braille/nl.js",
+    "js/braille/cellmap.js",
+    "js/braille/index.js",
+    "components/braille-monitor/braillemonitor.js",
+    "js/runner.js"
+  ], {
+    document,
+    logMessage() {},
+    location: { search: "", origin: "http://localhost", pathname: "/pages/activity-runner.html", href: "http://localhost/pages/activity-runner.html" },
+    fetch: async () => ({ ok: true, status: 200, json: async () => RECORDS, text: async () => "{}" })
+  });
+
+  win.Activities = {
+    probe: {
+      start() { calls.push("start"); return new Promise(() => {}); },
+      stop() { calls.push("stop"); },
+      onLeftThumb() { calls.push("left"); },
+      onRightThumb() { calls.push("right"); }
+    }
+  };
+
+  const { LoopbackTransport } = win.BrailleBridgeTransports;
+  const transport = new LoopbackTransport({ onRequest: async () => ({ ok: true, status: 200, body: "{}" }) });
+  transport.simulated = false;   // no simulator fallback
+  win.BrailleBridge.setConfig({ heartbeatIntervalMs: 0, autoDetectDevice: false });
+  win.BrailleBridge.setTransport(transport);
+
+  ready();
+  await sleep(1800);   // runner init + simulator fallback window
+
+  const key = (name, press) => transport.inject({
+    MsgType: 8, UnitId: 1, Strip: 0, ButtonIndex: 0, RawParam: 0,
+    IsPress: press, Kind: 2, Name: name, DotsMask: 0
+  });
+
+  // Right thumb starts the activity
+  key("RightThumb", true);
+  key("RightThumb", false);
+  await sleep(400);
+  report.check("right thumb starts the activity", calls.join(",") === "start", calls.join(","));
+
+  // A single thumb is delivered without waiting
+  calls.length = 0;
+  key("LeftThumb", true);
+  key("LeftThumb", false);
+  report.check("single thumb reaches the activity at once", calls.join(",") === "left", calls.join(","));
+  await sleep(600);   // outside the combo guard of the runner
+
+  // Both thumbs, pressed close together
+  calls.length = 0;
+  key("LeftThumb", true);
+  await sleep(30);
+  key("RightThumb", true);
+  await sleep(50);
+  key("LeftThumb", false);
+  key("RightThumb", false);
+  await sleep(700);
+  report.check("combo stops the run", calls.includes("stop"), calls.join(","));
+  report.check("combo does not restart the run", !calls.includes("start"), calls.join(","));
+  report.check("second combo key does not reach the activity", !calls.includes("right"), calls.join(","));
+
+  // Start again; second thumb pressed late (first thumb already delivered)
+  key("RightThumb", true);
+  key("RightThumb", false);
+  await sleep(400);
+  calls.length = 0;
+  key("LeftThumb", true);
+  await sleep(300);
+  key("RightThumb", true);
+  key("LeftThumb", false);
+  key("RightThumb", false);
+  await sleep(700);
+  report.check("late combo stops the run", calls.includes("stop"), calls.join(","));
+  report.check("late combo does not restart the run", !calls.includes("start"), calls.join(","));
+
+  report.finish();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});